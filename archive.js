@@ -0,0 +1,35 @@
+import fs from "node:fs/promises";
+
+// Helpers shared by the tar and zip archive writers.
+
+// Yields the part of buf placed at offset that is within start and end inclusive.
+export function* sliceBuffer(buf, offset, start, end) {
+	if (offset + buf.length > start && offset <= end) {
+		yield buf.subarray(Math.max(start - offset, 0), end - offset + 1);
+	}
+}
+
+// Reads the content of an entry from start to end inclusive, either from the
+// file at realPath or from memory for entries added with addBuffer().
+export async function* readEntry(entry, start, end) {
+	if (end < start) {
+		return;
+	}
+	if (entry.content) {
+		yield entry.content.subarray(start, end + 1);
+		return;
+	}
+	const fh = await fs.open(entry.realPath);
+	try {
+		let read = 0;
+		for await (const chunk of fh.createReadStream({ start, end, autoClose: false })) {
+			read += chunk.length;
+			yield chunk;
+		}
+		if (read !== end - start + 1) {
+			throw new Error(`File ${entry.realPath} changed size while reading, expected ${entry.size} bytes`);
+		}
+	} finally {
+		await fh.close();
+	}
+}
@@ -0,0 +1,211 @@
+import stream from "node:stream";
+import zlib from "node:zlib";
+import { ZipReader } from "./zip.js";
+
+// Reads the header of the map data in a Factorio save.  The header holds the
+// version of the game the save was made with, which scenario it is running
+// and the mods that were loaded, followed by the startup mod settings and the
+// tick the map is at.  Only the header is decompressed, the rest of the map
+// data is not read.
+
+// The header is small, but the startup settings of a large mod pack can take
+// up a fair amount of space.
+const maxHeaderLength = 4 * 1024 * 1024;
+
+class Deserialiser {
+	constructor(buf) {
+		this.buf = buf;
+		this.pos = 0;
+	}
+
+	_advance(length) {
+		const pos = this.pos;
+		if (pos + length > this.buf.length) {
+			throw new RangeError("Unexpected end of map data");
+		}
+		this.pos += length;
+		return pos;
+	}
+
+	bool() { return this.u8() !== 0; }
+	u8() { return this.buf.readUInt8(this._advance(1)); }
+	u16() { return this.buf.readUInt16LE(this._advance(2)); }
+	u32() { return this.buf.readUInt32LE(this._advance(4)); }
+	f64() { return this.buf.readDoubleLE(this._advance(8)); }
+
+	// Numbers that are usually small are stored in a single byte, with 255
+	// indicating that the full width value follows.
+	optimisedU16() {
+		const value = this.u8();
+		return value === 255 ? this.u16() : value;
+	}
+
+	optimisedU32() {
+		const value = this.u8();
+		return value === 255 ? this.u32() : value;
+	}
+
+	string() {
+		const length = this.optimisedU32();
+		const pos = this._advance(length);
+		return this.buf.toString("utf8", pos, pos + length);
+	}
+
+	version() {
+		return [this.u16(), this.u16(), this.u16(), this.u16()];
+	}
+
+	// Skips over a property tree, returns its type.
+	skipPropertyTree() {
+		const type = this.u8();
+		this.bool(); // any type flag
+		switch (type) {
+			case 0: break; // none
+			case 1: this.bool(); break;
+			case 2: this.f64(); break;
+			case 3: if (!this.bool()) { this.string(); } break;
+			case 4: // list
+			case 5: { // dictionary
+				const count = this.u32();
+				for (let i = 0; i < count; i++) {
+					if (!this.bool()) { this.string(); }
+					this.skipPropertyTree();
+				}
+				break;
+			}
+			case 6: // signed integer
+			case 7: this._advance(8); break; // unsigned integer
+			default: throw new Error(`Unknown property tree type ${type}`);
+		}
+		return type;
+	}
+}
+
+function compareVersion(a, b) {
+	for (let i = 0; i < Math.min(a.length, b.length); i++) {
+		if (a[i] !== b[i]) {
+			return a[i] - b[i];
+		}
+	}
+	return 0;
+}
+
+export function parseMapHeader(buf) {
+	const input = new Deserialiser(buf);
+	const version = input.version();
+	if (compareVersion(version, [0, 17]) >= 0) {
+		input.u8(); // unused
+	}
+	const info = {
+		version: version.slice(0, 3).join("."),
+		campaign: input.string(),
+		scenario: input.string(),
+		baseMod: input.string(),
+	};
+	input.u8(); // difficulty
+	input.bool(); // finished
+	input.bool(); // player won
+	input.string(); // next level
+	input.bool(); // can continue
+	input.bool(); // finished but continuing
+	input.bool(); // saving replay
+	if (compareVersion(version, [0, 17]) >= 0) {
+		input.bool(); // allow non admin debug options
+	}
+	input.version(); // loaded from
+	input.u8(); // allowed commands
+
+	const modCount = input.optimisedU32();
+	info.mods = [];
+	for (let i = 0; i < modCount; i++) {
+		const name = input.string();
+		const modVersion = [input.optimisedU16(), input.optimisedU16(), input.optimisedU16()];
+		input.u32(); // crc
+		info.mods.push({ name, version: modVersion.join(".") });
+	}
+
+	// Where the tick is stored has moved between versions, only trust it when
+	// the startup settings before it were read as expected.
+	try {
+		if (compareVersion(version, [0, 17]) >= 0 && input.skipPropertyTree() === 5) {
+			info.ticks = input.u32();
+		}
+	} catch (err) {
+		// Leave ticks unknown
+	}
+	return info;
+}
+
+// Reads up to maxLength bytes from the start of a stream and stops it.
+async function readPrefix(readable, maxLength) {
+	const chunks = [];
+	let length = 0;
+	for await (const chunk of readable) {
+		chunks.push(chunk);
+		length += chunk.length;
+		if (length >= maxLength) {
+			break;
+		}
+	}
+	readable.destroy();
+	return Buffer.concat(chunks).subarray(0, maxLength);
+}
+
+// Entries of the save by their name inside the directory named after the
+// save that all files in the save are placed in.
+function saveEntries(reader) {
+	return new Map(reader.entries.map(entry => [entry.name.replace(/^[^/]*\//, ""), entry]));
+}
+
+// Finds the map data in the save, newer versions split it into zlib
+// compressed level.dat0, level.dat1, etc. files while older versions have it
+// in a single level.dat file.
+function findMapData(entries) {
+	if (entries.has("level.dat0")) {
+		return { entry: entries.get("level.dat0"), zlibCompressed: true };
+	}
+	for (const name of ["level.dat", "level-init.dat"]) {
+		if (entries.has(name)) {
+			return { entry: entries.get(name), zlibCompressed: false };
+		}
+	}
+	return undefined;
+}
+
+export async function readSaveInfo(realPath) {
+	const reader = await ZipReader.open(realPath);
+	const mapData = findMapData(saveEntries(reader));
+	if (!mapData) {
+		throw new Error("No map data found in save");
+	}
+	let readable = await reader.createReadStream(mapData.entry);
+	if (mapData.zlibCompressed) {
+		readable = stream.pipeline(readable, zlib.createInflate(), () => { });
+	}
+	return parseMapHeader(await readPrefix(readable, maxHeaderLength));
+}
+
+// Saves made by older versions have a PNG preview, newer ones a JPEG.
+const previewMimeTypes = new Map([
+	["preview.jpg", "image/jpeg"],
+	["preview.png", "image/png"],
+]);
+
+// Returns the preview image of the save, or undefined if it has none.
+export async function findSavePreview(realPath) {
+	const reader = await ZipReader.open(realPath);
+	const entries = saveEntries(reader);
+	for (const [name, mime] of previewMimeTypes) {
+		const entry = entries.get(name);
+		if (entry) {
+			return {
+				name,
+				mime,
+				size: entry.size,
+				offset: entry.localHeaderOffset,
+				createReadStream: () => reader.createReadStream(entry),
+			};
+		}
+	}
+	return undefined;
+}
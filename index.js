@@ -1,13 +1,135 @@
+import crypto from "node:crypto";
 import fs from "node:fs/promises";
 import http from "node:http";
+import { Readable } from "node:stream";
 import stream from "node:stream/promises";
+import zlib from "node:zlib";
 import { el, htmlDocument, prettify } from "antihtml";
-import yazl from "yazl";
+import { findSavePreview, readSaveInfo } from "./factorio.js";
+import { syncCommand } from "./sync.js";
 import { TarFile } from "./ustar.js";
+import { ZipFile, ZipReader, crc32 } from "./zip.js";
 
 const PORT = process.env.PORT ? Number.parse(process.env.PORT, 10) : 8000;
 const PUBLIC_URL = envPublicUrl(process.env.PUBLIC_URL ?? "");
 const ROOT_DIR = process.env.ROOT_DIR ?? "public";
+const CACHE_CONTROL = process.env.CACHE_CONTROL ?? "no-cache";
+const FILES_CACHE_CONTROL = process.env.FILES_CACHE_CONTROL ?? "public, max-age=3600";
+const RESCAN_INTERVAL = Number.parseInt(process.env.RESCAN_INTERVAL ?? "0", 10);
+const WATCH_FILES = process.env.WATCH_FILES !== "false";
+const INDEX_FILE = process.env.INDEX_FILE;
+const CHECKSUMS_FILE = process.env.CHECKSUMS_FILE;
+const SAVE_INFO_FILE = process.env.SAVE_INFO_FILE;
+const SITE_CONFIG = process.env.SITE_CONFIG ?? "site.json";
+
+if (process.argv[2] === "sync") {
+	process.exit(await syncCommand(process.argv.slice(3), ROOT_DIR));
+}
+
+const instancesAsValues = ["folder", "flat", "last-save", "clusterio-last-save", "clusterio-bundle"];
+const savesValues = ["all", "last", "hourly", "daily", "every-n-hours", "n-evenly-spaced"];
+
+const archiveFormats = new Map(Object.entries({
+	"zip": { label: "Zip", ArchiveFile: ZipFile, mime: "application/zip" },
+	"tar": { label: "Tar", ArchiveFile: TarFile, mime: "application/x-tar" },
+	"tar.gz": {
+		label: "Tar + gzip",
+		ArchiveFile: TarFile,
+		mime: "application/gzip",
+		compressor: () => zlib.createGzip(),
+	},
+	"tar.br": {
+		label: "Tar + Brotli",
+		ArchiveFile: TarFile,
+		mime: "application/x-brotli",
+		// The default quality of 11 is too slow for streaming
+		compressor: () => zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } }),
+	},
+}));
+if (zlib.createZstdCompress) {
+	archiveFormats.set("tar.zst", {
+		label: "Tar + Zstandard",
+		ArchiveFile: TarFile,
+		mime: "application/zstd",
+		compressor: () => zlib.createZstdCompress(),
+	});
+}
+
+// Which entries to compress in zip archives
+const zipCompressions = new Map(Object.entries({
+	"none": { label: "None", compress: _file => false },
+	// Saves are zip files which are already compressed
+	"auto": { label: "Except saves", compress: file => !file.name.endsWith(".zip") },
+	"all": { label: "All files", compress: _file => true },
+}));
+
+// Loads the title, about text, mirrors, milestones and default pack options
+// shown on the site.  Milestones are points in time of note in the history
+// of the archive in UTC.
+async function loadSiteConfig(file) {
+	const config = JSON.parse(await fs.readFile(file, "utf8"));
+	const siteConfig = {
+		title: config.title ?? "Save Archive",
+		about: config.about ?? [],
+		mirrors: config.mirrors ?? [],
+		milestones: config.milestones ?? [],
+		pack: {
+			"format": "zip",
+			"compression": "none",
+			"instances-as": "flat",
+			"saves": "last",
+			"n": 6,
+			...config.pack,
+		},
+	};
+	const invalid = message => new Error(`Invalid site config ${file}: ${message}`);
+	if (typeof siteConfig.title !== "string") {
+		throw invalid("title must be a string");
+	}
+	if (!Array.isArray(siteConfig.about) || siteConfig.about.some(paragraph => typeof paragraph !== "string")) {
+		throw invalid("about must be an array of strings");
+	}
+	if (!Array.isArray(siteConfig.mirrors) || siteConfig.mirrors.some(mirror => typeof mirror.url !== "string")) {
+		throw invalid("mirrors must be an array of objects with an url");
+	}
+	if (!Array.isArray(siteConfig.milestones)) {
+		throw invalid("milestones must be an array");
+	}
+	const names = new Set();
+	for (const milestone of siteConfig.milestones) {
+		if (typeof milestone.name !== "string" || typeof milestone.label !== "string") {
+			throw invalid("milestones must have a name and label");
+		}
+		if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(milestone.time)) {
+			throw invalid(`time of milestone ${milestone.name} must be in the format 'YYYY-MM-DDTHH:MM'`);
+		}
+		if (names.has(milestone.name)) {
+			throw invalid(`duplicate milestone ${milestone.name}`);
+		}
+		names.add(milestone.name);
+	}
+	if (!archiveFormats.has(siteConfig.pack.format)) {
+		throw invalid(`invalid pack.format ${siteConfig.pack.format}`);
+	}
+	if (!zipCompressions.has(siteConfig.pack.compression)) {
+		throw invalid(`invalid pack.compression ${siteConfig.pack.compression}`);
+	}
+	if (siteConfig.pack.milestone !== undefined && !names.has(siteConfig.pack.milestone)) {
+		throw invalid(`pack.milestone ${siteConfig.pack.milestone} is not a milestone`);
+	}
+	if (!instancesAsValues.includes(siteConfig.pack["instances-as"])) {
+		throw invalid(`invalid pack.instances-as ${siteConfig.pack["instances-as"]}`);
+	}
+	if (!savesValues.includes(siteConfig.pack.saves)) {
+		throw invalid(`invalid pack.saves ${siteConfig.pack.saves}`);
+	}
+	if (!Number.isInteger(siteConfig.pack.n) || siteConfig.pack.n < 1) {
+		throw invalid("pack.n must be a positive integer");
+	}
+	return siteConfig;
+}
+
+const siteConfig = await loadSiteConfig(SITE_CONFIG);
 
 const mimeTypes = new Map(Object.entries({
 	".css": "text/css; charset=utf-8",
@@ -48,6 +170,12 @@ function formatBytes(bytes, indented = false) {
 	return (indented ? spaces : "") + significant.toFixed(fractionDigits) + units[exponent];
 }
 
+// Formats game ticks as time played at 60 ticks per second
+function formatTicks(ticks) {
+	const minutes = Math.floor(ticks / 60 / 60);
+	return `${Math.floor(minutes / 60)}h\u{A0}${String(minutes % 60).padStart(2, "0")}m`;
+}
+
 // Encode header token as quoted string
 function quotedString(str) {
 	str = str.replace(/"/, '\"');
@@ -110,89 +238,721 @@ class NotFound extends RequestError {
 		this.code = 404;
 	}
 }
+class MethodNotAllowed extends RequestError {
+	constructor(allow, message = "Method Not Allowed") {
+		super(message);
+		this.code = 405;
+		this.headers = { "Allow": allow };
+	}
+}
+// The rest of the request body is not read, so the connection is closed
+// after the response has been sent.
+class PayloadTooLarge extends RequestError {
+	constructor(message = "Payload Too Large") {
+		super(message);
+		this.code = 413;
+		this.headers = { "Connection": "close" };
+	}
+}
+class UnsupportedMediaType extends RequestError {
+	constructor(message = "Unsupported Media Type") {
+		super(message);
+		this.code = 415;
+	}
+}
+class ServiceUnavailable extends RequestError {
+	constructor(retryAfter, message = "Service Unavailable") {
+		super(message);
+		this.code = 503;
+		this.headers = { "Retry-After": `${retryAfter}` };
+	}
+}
 
-function fileFilterFromUrl(url) {
-	const createdBeforeValue = url.searchParams.get("created-before");
-	if (createdBeforeValue !== null && !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(createdBeforeValue)) {
-		throw new BadRequest(
-			`Invalid created-before ${createdBeforeValue}, valid format 'YYYY-MM-DDTHH:MM'`,
-		);
+// Resources with a post method also accept POST requests.
+function allowedMethods(resource) {
+	return resource?.post ? "GET, HEAD, POST, OPTIONS" : "GET, HEAD, OPTIONS";
+}
+
+// Bodies of POST requests are read into memory, this limits how large they
+// can be.
+const maxBodyLength = 32 * 1024 * 1024;
+
+async function readBody(req) {
+	const message = `Request body is larger than ${maxBodyLength} bytes`;
+	if (Number(req.headers["content-length"]) > maxBodyLength) {
+		throw new PayloadTooLarge(message);
+	}
+	const chunks = [];
+	let length = 0;
+	// Leave the request open when stopping at the limit so that the error
+	// response can be sent.
+	for await (const chunk of req.iterator({ destroyOnReturn: false })) {
+		length += chunk.length;
+		if (length > maxBodyLength) {
+			req.pause();
+			throw new PayloadTooLarge(message);
+		}
+		chunks.push(chunk);
+	}
+	return Buffer.concat(chunks);
+}
+
+// Bounds on the times of files that can be passed as query parameters.  The
+// created bounds include the after time and exclude the before time so that
+// ranges next to each other do not overlap.  Both modified bounds exclude the
+// time given, as modified-after always has, so that it selects files changed
+// since a previous listing.
+const timeBounds = [
+	{ param: "created-after", field: "createdAtMs", after: true, inclusive: true },
+	{ param: "created-before", field: "createdAtMs", after: false },
+	{ param: "modified-after", field: "modifiedAtMs", after: true, inclusive: false },
+	{ param: "modified-before", field: "modifiedAtMs", after: false },
+];
+
+function withinBound({ after, inclusive, ms }, value) {
+	if (!after) {
+		return value < ms;
+	}
+	return inclusive ? value >= ms : value > ms;
+}
+
+// Parses a time given as an ISO 8601 date and optional time, which is taken
+// to be in UTC if it has no offset, or as a Unix timestamp in seconds.
+function parseTime(param, value) {
+	let ms = NaN;
+	if (/^\d+(\.\d+)?$/.test(value)) {
+		ms = Number(value) * 1000;
+	} else {
+		const match = /^(\d{4}-\d{2}-\d{2})(?:T(\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)(Z|[+-]\d{2}:?\d{2})?)?$/.exec(value);
+		if (match) {
+			const [, date, time = "00:00", offset = "Z"] = match;
+			const [year, month, day] = date.split("-").map(Number);
+			// Date.parse rolls days past the end of the month over to the next.
+			if (new Date(Date.UTC(year, month - 1, day)).getUTCDate() === day) {
+				ms = Date.parse(`${date}T${time}${offset.replace(/^([+-]\d{2})(\d{2})$/, "$1:$2")}`);
+			}
+		}
 	}
-	const createdBeforeMs = createdBeforeValue ? new Date(createdBeforeValue+"Z").getTime() : undefined;
-	const modifiedAfterValue = url.searchParams.get("modified-after");
-	if (modifiedAfterValue !== null && !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(modifiedAfterValue)) {
+	if (Number.isNaN(ms)) {
 		throw new BadRequest(
-			`Invalid modified-after ${modifiedAfterValue}, valid format 'YYYY-MM-DDTHH:MM'`,
+			`Invalid ${param} ${value}, valid formats: ISO 8601 date and time like '2024-01-29T03:00:00Z' `
+			+ "or with an offset like '2024-01-29T04:00:00+01:00', or a Unix timestamp in seconds",
 		);
 	}
-	const modifiedAfterMs = modifiedAfterValue ? new Date(modifiedAfterValue+"Z").getTime() : undefined;
-	if (createdBeforeMs === undefined && modifiedAfterMs === undefined) {
+	return ms;
+}
+
+// Time bounds selected by the query parameters of the url as a list of
+// parameter name and value pairs.  A milestone is the same as a created-before
+// bound at the time of the milestone.  Empty values are ignored so that forms
+// can leave bounds open.
+function timeParamsFromUrl(url) {
+	const params = [];
+	const milestone = url.searchParams.get("milestone");
+	if (milestone) {
+		params.push(["milestone", milestone]);
+	}
+	for (const { param } of timeBounds) {
+		const value = url.searchParams.get(param);
+		if (value) {
+			params.push([param, value]);
+		}
+	}
+	return params;
+}
+
+function boundsFromParams(params) {
+	const names = params.map(([param]) => param);
+	if (names.includes("milestone") && names.includes("created-before")) {
+		throw new BadRequest("milestone and created-before cannot both be specified");
+	}
+	return params.map(([param, value]) => {
+		if (param === "milestone") {
+			const milestone = siteConfig.milestones.find(({ name }) => name === value);
+			if (!milestone) {
+				throw new BadRequest(
+					`Invalid milestone ${value}, valid values: ${siteConfig.milestones.map(({ name }) => name).join(", ")}`,
+				);
+			}
+			return { ...timeBounds[1], ms: new Date(`${milestone.time}Z`).getTime(), milestone };
+		}
+		return { ...timeBounds.find(bound => bound.param === param), ms: parseTime(param, value) };
+	});
+}
+
+function fileFilterFromParams(params) {
+	const bounds = boundsFromParams(params);
+	if (!bounds.length) {
 		return id;
 	}
-	return node => (
-		(createdBeforeMs === undefined || node.createdAtMs === undefined || node.createdAtMs < createdBeforeMs)
-		&& (modifiedAfterMs === undefined || node.modifiedAtMs === undefined || node.modifiedAtMs > modifiedAfterMs)
-	);
+	return node => bounds.every(bound => {
+		const { field, after } = bound;
+		const value = node[field];
+		if (value === undefined) {
+			return true;
+		}
+		// Directories have the earliest created and latest modified time of
+		// their content, which is only enough to exclude them for the created
+		// before and modified after bounds.
+		if (
+			node instanceof File
+			|| field === "createdAtMs" && !after
+			|| field === "modifiedAtMs" && after
+		) {
+			return withinBound(bound, value);
+		}
+		return true;
+	});
+}
+
+function fileFilterFromUrl(url) {
+	return fileFilterFromParams(timeParamsFromUrl(url));
+}
+
+function savesSelectionFromUrl(url, defaultMode) {
+	const mode = url.searchParams.get("saves") || defaultMode;
+	if (!savesValues.includes(mode)) {
+		throw new BadRequest(`Invalid saves ${mode}, valid values: ${savesValues.join(", ")}`);
+	}
+	if (!["every-n-hours", "n-evenly-spaced"].includes(mode)) {
+		return { mode };
+	}
+	const nValue = url.searchParams.get("n");
+	if (nValue === null) {
+		throw new BadRequest(`Missing n for saves ${mode}`);
+	}
+	if (!/^[1-9]\d*$/.test(nValue)) {
+		throw new BadRequest(`Invalid n ${nValue}, must be a positive integer`);
+	}
+	return { mode, n: Number(nValue) };
+}
+
+// Selects which of the saves of an instance ordered by time to include.  When
+// thinning by interval the last save made in each interval is kept.
+function selectSaves(saves, { mode, n }) {
+	if (mode === "all") {
+		return saves;
+	}
+	if (mode === "last") {
+		return saves.slice(-1);
+	}
+	if (mode === "n-evenly-spaced") {
+		if (saves.length <= n) {
+			return saves;
+		}
+		if (n === 1) {
+			return saves.slice(-1);
+		}
+		// Pick the save closest to each of n points evenly spaced between the
+		// first and last save.
+		const firstMs = saves[0].createdAtMs;
+		const spanMs = saves[saves.length - 1].createdAtMs - firstMs;
+		const selected = new Set();
+		let index = 0;
+		for (let i = 0; i < n; i++) {
+			const targetMs = firstMs + spanMs * i / (n - 1);
+			while (
+				index + 1 < saves.length
+				&& Math.abs(saves[index + 1].createdAtMs - targetMs) <= Math.abs(saves[index].createdAtMs - targetMs)
+			) {
+				index += 1;
+			}
+			selected.add(saves[index]);
+		}
+		return [...selected];
+	}
+	const intervalMs = { "hourly": 1, "daily": 24, "every-n-hours": n }[mode] * 3600e3;
+	const selected = [];
+	for (const save of saves) {
+		const interval = Math.floor(save.createdAtMs / intervalMs);
+		if (selected.length && Math.floor(selected[selected.length - 1].createdAtMs / intervalMs) === interval) {
+			selected[selected.length - 1] = save;
+		} else {
+			selected.push(save);
+		}
+	}
+	return selected;
 }
 
+// Copy of a save under a different name and parent for packing.
+function renamedSave(parent, name, save) {
+	const copy = new Save(parent, name, save.realPath, save.stat);
+	copy.createdAtMs = save.createdAtMs;
+	return copy;
+}
+
+// Instances are either packed as folders in the same layout as Clusterio
+// uses, or flat with the saves named after the instance.  last-save and
+// clusterio-last-save are the flat and folder layouts with only the last save.
+// Cluster bundles are laid out by clusterioBundle instead.
 function nodeTransformFromUrl(url, fileFilter) {
 	const instancesAs = url.searchParams.get("instances-as") ?? "folder";
-	if (!["folder", "last-save", "clusterio-last-save"].includes(instancesAs)) {
+	if (!instancesAsValues.includes(instancesAs)) {
 		throw new BadRequest(
-			`Invalid instances-as ${instancesAs}, valid values: folder, last-save, clusterio-last-save`,
+			`Invalid instances-as ${instancesAs}, valid values: ${instancesAsValues.join(", ")}`,
 		);
 	}
-	if (instancesAs === "folder") {
+	const flat = ["flat", "last-save"].includes(instancesAs);
+	// The last save modes are short for the layouts with saves=last, which
+	// forms offering every layout may send another saves value with.
+	const selection = ["last-save", "clusterio-last-save"].includes(instancesAs)
+		? { mode: "last" }
+		: savesSelectionFromUrl(url, instancesAs === "folder" ? "all" : "last");
+	if (!flat && selection.mode === "all") {
 		return node => {
 			return fileFilter(node) ? node : undefined;
 		};
 	}
-	if (instancesAs === "last-save") {
-		return node => {
-			if (!(node instanceof Instance)) {
-				return fileFilter(node) ? node : undefined;
+	return node => {
+		if (!(node instanceof Instance)) {
+			return fileFilter(node) ? node : undefined;
+		}
+		const savesDir = node.entries.get("saves");
+		const saves = selectSaves(
+			savesDir ? [...filter(entry => entry instanceof Save && fileFilter(entry), savesDir.entries.values())] : [],
+			selection,
+		);
+		if (!saves.length) {
+			return undefined;
+		}
+		if (flat) {
+			const title = node.title.replace(" / ", "");
+			if (selection.mode === "last") {
+				return renamedSave(node.parent, `${title}.zip`, saves[0]);
 			}
-			const saves = [...node.entries.get("saves").entries.values()];
-			const file = last(filter(fileFilter, saves));
-			if (!file) {
-				return undefined;
+			// Not part of the archive, only holds the saves for packing.
+			const dir = new Dir(node.parent, node.name, node.realPath);
+			for (const save of saves) {
+				dir.entries.set(save.name, renamedSave(node.parent, `${title} ${save.name}`, save));
 			}
-			return new Save(node.parent, node.title.replace(" / ") + ".zip", file.realPath, file.stat);
-		};
+			return dir;
+		}
+		const instance = new Instance(node.parent, node.name, node.realPath, node.config);
+		instance.entries = new Map(node.entries);
+		const newSavesDir = new SavesDir(instance, "saves", savesDir.realPath);
+		for (const save of saves) {
+			newSavesDir.entries.set(save.name, save);
+		}
+		instance.entries.set("saves", newSavesDir);
+		return instance;
+	};
+}
+
+// Ports are assigned to instances in the bundle counting up from the
+// default Factorio port so that the whole cluster can run on one machine.
+const bundleFirstGamePort = 34197;
+const bundleControllerUrl = "http://localhost:8080/";
+
+function savesDescription({ mode, n }) {
+	return {
+		"all": "all saves",
+		"last": "the last save",
+		"hourly": "the last save of each hour",
+		"daily": "the last save of each day",
+		"every-n-hours": `the last save of every ${n} hours`,
+		"n-evenly-spaced": `${n} evenly spaced saves`,
+	}[mode] + " of each instance";
+}
+
+// Copy of the files in dir placed under parent for packing.
+function copyFiles(dir, parent, fileFilter) {
+	for (const entry of dir.entries.values()) {
+		if (!fileFilter(entry)) {
+			continue;
+		}
+		if (entry instanceof Dir) {
+			const copy = new Dir(parent, entry.name, entry.realPath);
+			copyFiles(entry, copy, fileFilter);
+			parent.entries.set(entry.name, copy);
+		} else if (entry instanceof Save) {
+			parent.entries.set(entry.name, renamedSave(parent, entry.name, entry));
+		} else {
+			parent.entries.set(entry.name, new File(parent, entry.name, entry.realPath, entry.stat, entry.mime));
+		}
 	}
-	if (instancesAs === "clusterio-last-save") {
-		return node => {
-			if (!(node instanceof Instance)) {
-				return fileFilter(node) ? node : undefined;
-			}
-			const savesDir = node.entries.get("saves");
-			const saves = savesDir.entries.values();
-			const file = last(filter(fileFilter, saves));
-			if (!file) {
-				return undefined;
-			}
-			const instance = new Instance(node.parent, node.name, node.realPath, node.config);
-			instance.entries = new Map(node.entries);
-			const newSavesDir = new SavesDir(instance, "saves", savesDir.realPath);
-			newSavesDir.entries.set(file.name, file);
-			instance.entries.set("saves", newSavesDir);
-			return instance;
+}
+
+// Lays out the instances in nodes with their selected saves as the data
+// directories of a Clusterio controller and the hosts the instances are
+// assigned to, placed in a copy of the root directory given.  Hosts are
+// numbered from 1 and the instances get unique ids and ports so that the
+// cluster can be brought up locally from the bundle.
+function clusterioBundle(nodes, root, url, fileFilter) {
+	const selection = savesSelectionFromUrl(url, "last");
+	const snapshotBound = boundsFromParams(timeParamsFromUrl(url)).find(bound => bound.param === "created-before");
+
+	const instances = [];
+	const stack = [...nodes].toReversed();
+	while (stack.length) {
+		const current = stack.pop();
+		if (current instanceof Instance) {
+			const savesDir = current.entries.get("saves");
+			const saves = selectSaves(
+				savesDir ? [...filter(entry => entry instanceof Save && fileFilter(entry), savesDir.entries.values())] : [],
+				selection,
+			);
+			// Leave out instances that did not exist yet at the snapshot time
+			if (saves.length) {
+				instances.push({ instance: current, saves });
+			}
+		} else if (current instanceof Dir || current instanceof Root) {
+			stack.push(...[...current.entries.values()].toReversed());
+		}
+	}
+	if (!instances.length) {
+		throw new BadRequest(`No instances with saves to bundle in ${nodes.map(node => node.path).join(", ")}`);
+	}
+
+	const originalHosts = [...new Set(instances.map(({ instance }) => instance.config["instance.assigned_host"] ?? null))]
+		.sort((a, b) => (a === null) - (b === null) || a - b);
+	const hosts = originalHosts.map((originalId, index) => ({
+		originalId,
+		id: index + 1,
+		name: `host-${index + 1}`,
+		instances: [],
+	}));
+	const usedIds = new Set();
+	let nextId = Math.max(0, ...instances.map(({ instance }) => Number.isInteger(instance.id) ? instance.id : 0)) + 1;
+	for (const [index, item] of instances.entries()) {
+		const host = hosts.find(({ originalId }) => originalId === (item.instance.config["instance.assigned_host"] ?? null));
+		let id = item.instance.id;
+		if (!Number.isInteger(id) || usedIds.has(id)) {
+			id = nextId++;
+		}
+		usedIds.add(id);
+		item.host = host;
+		item.config = {
+			...item.instance.config,
+			"instance.id": id,
+			"instance.assigned_host": host.id,
+			"factorio.game_port": bundleFirstGamePort + index,
 		};
+		// Let the host pick these when the instance is started.
+		for (const field of ["factorio.rcon_port", "factorio.rcon_password"]) {
+			if (field in item.config) {
+				item.config[field] = null;
+			}
+		}
+		host.instances.push(item);
+	}
+
+	const mtimeMs = instances.flatMap(({ saves }) => saves).reduce((max, save) => Math.max(max, save.stat.mtimeMs), 0);
+	const bundle = root instanceof Root ? new Root() : new Dir(root.parent, root.name, root.realPath);
+	const addDir = (parent, name) => {
+		const dir = new Dir(parent, name, undefined);
+		parent.entries.set(name, dir);
+		return dir;
+	};
+	const addJson = (parent, name, value) => {
+		const content = Buffer.from(`${JSON.stringify(value, null, "\t")}\n`);
+		parent.entries.set(name, new GeneratedFile(parent, name, content, mtimeMs));
+	};
+
+	const latestSaveMs = instances.flatMap(({ saves }) => saves).reduce((max, save) => Math.max(max, save.createdAtMs), 0);
+	const readme = [
+		`${siteConfig.title} - Clusterio cluster bundle`,
+		"",
+		snapshotBound
+			? `Snapshot of the cluster as it was at ${formatTime(snapshotBound.ms)} UTC`
+				+ `${snapshotBound.milestone ? ` (${snapshotBound.milestone.label})` : ""}.`
+			: `Snapshot of the cluster as it was at its last save made ${formatTime(latestSaveMs)} UTC.`,
+		`Contains ${savesDescription(selection)}.`,
+		`Downloaded from ${PUBLIC_URL}/pack?${url.searchParams}`,
+		"",
+		"controller/database/  Instances and hosts for the controller",
+		"hosts/<host>/         Config and instances for each host",
+		"",
+		"To bring the cluster up, install Clusterio and from this directory run",
+		"",
+		"    npx clusteriocontroller --config controller/config-controller.json \\",
+		"        config set controller.database_directory controller/database",
+		"    npx clusteriocontroller --config controller/config-controller.json run",
+		"",
+		"Then for each host generate a token with",
+		"",
+		"    npx clusteriocontrol host generate-token --id <id>",
+		"",
+		"and from the directory of the host run",
+		"",
+		"    npx clusteriohost config set host.controller_token <token>",
+		"    npx clusteriohost run",
+		"",
+		"Hosts",
+		"",
+		...hosts.map(host => `    ${host.id}  ${host.name}  ${host.instances.length} instance(s)`),
+		"",
+		"Instances",
+		"",
+		...instances.map(({ config, host, saves }) => [
+			`    ${config["instance.name"]}`,
+			`        id ${config["instance.id"]}, ${host.name}, port ${config["factorio.game_port"]}`,
+			...saves.map(save => `        ${save.name}`),
+		].join("\n")),
+		"",
+	].join("\n");
+	bundle.entries.set("README.txt", new GeneratedFile(bundle, "README.txt", Buffer.from(readme), mtimeMs));
+
+	const database = addDir(addDir(bundle, "controller"), "database");
+	addJson(database, "instances.json", instances.map(({ config }) => config));
+	addJson(database, "hosts.json", hosts.map(({ id, name }) => ({ id, name })));
+
+	const hostsDir = addDir(bundle, "hosts");
+	for (const host of hosts) {
+		const hostDir = addDir(hostsDir, host.name);
+		addJson(hostDir, "config-host.json", {
+			"host.id": host.id,
+			"host.name": host.name,
+			"host.instances_directory": "instances",
+			"host.controller_url": bundleControllerUrl,
+		});
+		const instancesDir = addDir(hostDir, "instances");
+		for (const { instance, config, saves } of host.instances) {
+			const instanceDir = new Instance(instancesDir, instance.name, instance.realPath, config);
+			copyFiles(instance, instanceDir, entry => entry.name !== "saves" && entry.name !== "instance.json" && fileFilter(entry));
+			addJson(instanceDir, "instance.json", config);
+			const savesDir = addDir(instanceDir, "saves");
+			for (const save of saves) {
+				savesDir.entries.set(save.name, renamedSave(savesDir, save.name, save));
+			}
+			instancesDir.entries.set(instance.name, instanceDir);
+		}
 	}
-	throw new Error("Impossible branch");
+	return bundle;
 }
 
-function textResponse(res, code, text, mime = "text/plain") {
+function textResponse(res, code, text, mime = "text/plain", headers = {}) {
 	const content = Buffer.from(text, "utf8");
 	res.writeHead(code, {
+		...headers,
 		"Content-Type": `${mime}; charset=utf-8`,
 		"Content-Length": `${content.length}`,
 	});
 	res.end(content);
 }
 
-function jsonResponse(res, code, json) {
-	textResponse(res, code, JSON.stringify(json, undefined, "\t"), "application/json");
+
+// Strong validator for a file on disk based on its stat.
+function statETag(stat) {
+	return `"${stat.size.toString(16)}-${Math.round(stat.mtimeMs * 1000).toString(16)}"`;
+}
+
+// Strong validator for an entry in a zip file on disk, derived from the
+// validator of the zip file and the name and offset of the entry in it.
+function zipEntryETag(zipStat, name, offset) {
+	const hash = crypto.createHash("sha256").update(`${statETag(zipStat)}\0${name}\0${offset}`);
+	return `"${hash.digest("base64url")}"`;
+}
+
+// Check if the conditional request headers indicate the client already has
+// the current representation of the resource.
+function isNotModified(req, { etag, lastModifiedMs }) {
+	const ifNoneMatch = req.headers["if-none-match"];
+	if (ifNoneMatch !== undefined) {
+		if (ifNoneMatch.trim() === "*") {
+			return true;
+		}
+		const opaqueTag = tag => tag.trim().replace(/^W\//, "");
+		return etag !== undefined && ifNoneMatch.split(",").some(tag => opaqueTag(tag) === opaqueTag(etag));
+	}
+	const ifModifiedSince = req.headers["if-modified-since"];
+	if (ifModifiedSince !== undefined && lastModifiedMs !== undefined) {
+		const sinceMs = Date.parse(ifModifiedSince);
+		return !Number.isNaN(sinceMs) && Math.floor(lastModifiedMs / 1000) * 1000 <= sinceMs;
+	}
+	return false;
+}
+
+function validatorHeaders({ etag, lastModifiedMs }) {
+	const headers = {};
+	if (etag !== undefined) {
+		headers["ETag"] = etag;
+	}
+	if (lastModifiedMs !== undefined) {
+		headers["Last-Modified"] = new Date(lastModifiedMs).toUTCString();
+	}
+	return headers;
+}
+
+// Respond with generated content using a hash of it as the entity tag and
+// answer with 304 Not Modified if the client has it cached.
+function cachedResponse(req, res, content, contentType, lastModifiedMs) {
+	content = Buffer.from(content, "utf8");
+	const validators = {
+		etag: `"${crypto.createHash("sha256").update(content).digest("base64url")}"`,
+		lastModifiedMs,
+	};
+	const headers = {
+		"Cache-Control": CACHE_CONTROL,
+		...validatorHeaders(validators),
+	};
+	if (isNotModified(req, validators)) {
+		res.writeHead(304, headers);
+		res.end();
+		return;
+	}
+	res.writeHead(200, {
+		...headers,
+		"Content-Type": contentType,
+		"Content-Length": `${content.length}`,
+	});
+	res.end(content);
+}
+
+function cachedJsonResponse(req, res, json, lastModifiedMs) {
+	cachedResponse(req, res, JSON.stringify(json, undefined, "\t"), "application/json; charset=utf-8", lastModifiedMs);
+}
+
+// Parses a Range header into a list of inclusive byte ranges.  Returns
+// undefined if the header should be ignored and an empty list if none of the
+// ranges requested can be satisfied.
+function parseRange(header, size) {
+	const match = /^bytes=(.*)$/.exec(header);
+	if (!match) {
+		return undefined;
+	}
+	const ranges = [];
+	for (const spec of match[1].split(",")) {
+		const specMatch = /^[ \t]*(\d*)-(\d*)[ \t]*$/.exec(spec);
+		if (!specMatch || specMatch[1] === "" && specMatch[2] === "") {
+			return undefined;
+		}
+		if (specMatch[1] === "") {
+			const suffixLength = Number(specMatch[2]);
+			if (suffixLength > 0 && size > 0) {
+				ranges.push({ start: Math.max(size - suffixLength, 0), end: size - 1 });
+			}
+			continue;
+		}
+		const start = Number(specMatch[1]);
+		const end = specMatch[2] === "" ? Infinity : Number(specMatch[2]);
+		if (end < start) {
+			return undefined;
+		}
+		if (start < size) {
+			ranges.push({ start, end: Math.min(end, size - 1) });
+		}
+	}
+	if (ranges.length > maxRanges) {
+		return undefined;
+	}
+
+	// Coalesce overlapping and adjacent ranges to avoid sending the same bytes
+	// more than once.
+	if (ranges.length > 1) {
+		ranges.sort((a, b) => a.start - b.start);
+		const coalesced = [ranges[0]];
+		for (const range of ranges.slice(1)) {
+			const previous = coalesced[coalesced.length - 1];
+			if (range.start <= previous.end + 1) {
+				previous.end = Math.max(previous.end, range.end);
+			} else {
+				coalesced.push(range);
+			}
+		}
+		return coalesced;
+	}
+	return ranges;
+}
+const maxRanges = 100;
+
+// Check if the If-Range precondition allows serving a partial response.
+function ifRangeMatches(req, { etag, lastModifiedMs }) {
+	const ifRange = req.headers["if-range"];
+	if (ifRange === undefined) {
+		return true;
+	}
+	if (ifRange.startsWith('"')) {
+		return ifRange === etag;
+	}
+	if (ifRange.startsWith("W/")) {
+		return false;
+	}
+	const dateMs = Date.parse(ifRange);
+	return !Number.isNaN(dateMs) && dateMs === Math.floor(lastModifiedMs / 1000) * 1000;
+}
+
+// Respond with the whole or the requested ranges of a resource of the given
+// size.  openRange(start, end) is called to get a stream of the bytes from
+// start to end inclusive.
+async function rangeResponse(req, res, size, headers, validators, openRange) {
+	headers = {
+		...headers,
+		"Accept-Ranges": "bytes",
+		...validatorHeaders(validators),
+	};
+	if (isNotModified(req, validators)) {
+		delete headers["Content-Type"];
+		delete headers["Content-Disposition"];
+		res.writeHead(304, headers);
+		res.end();
+		return;
+	}
+	let ranges;
+	if (req.headers["range"] !== undefined && ifRangeMatches(req, validators)) {
+		ranges = parseRange(req.headers["range"], size);
+	}
+
+	let code;
+	let length;
+	let body;
+	if (ranges === undefined) {
+		code = 200;
+		length = size;
+		body = () => size ? openRange(0, size - 1) : [];
+
+	} else if (ranges.length === 0) {
+		code = 416;
+		length = 0;
+		headers["Content-Range"] = `bytes */${size}`;
+		body = () => [];
+
+	} else if (ranges.length === 1) {
+		const [{ start, end }] = ranges;
+		code = 206;
+		length = end - start + 1;
+		headers["Content-Range"] = `bytes ${start}-${end}/${size}`;
+		body = () => openRange(start, end);
+
+	} else {
+		const boundary = crypto.randomBytes(16).toString("hex");
+		const partHeaders = ranges.map(({ start, end }) => Buffer.from(
+			`\r\n--${boundary}\r\n`
+			+ `Content-Type: ${headers["Content-Type"]}\r\n`
+			+ `Content-Range: bytes ${start}-${end}/${size}\r\n\r\n`
+		));
+		const closeDelimiter = Buffer.from(`\r\n--${boundary}--\r\n`);
+		code = 206;
+		length = closeDelimiter.length;
+		for (let i = 0; i < ranges.length; i++) {
+			length += partHeaders[i].length + ranges[i].end - ranges[i].start + 1;
+		}
+		headers["Content-Type"] = `multipart/byteranges; boundary=${boundary}`;
+		body = async function* () {
+			for (let i = 0; i < ranges.length; i++) {
+				yield partHeaders[i];
+				yield* openRange(ranges[i].start, ranges[i].end);
+			}
+			yield closeDelimiter;
+		};
+	}
+
+	res.writeHead(code, {
+		...headers,
+		"Content-Length": `${length}`,
+	});
+	if (req.method === "HEAD") {
+		res.end();
+		return;
+	}
+	await stream.pipeline(
+		body(),
+		validateLength(length, res),
+		res,
+		// Suppress automatically ending the request stream in case an
+		// error is thrown as the request handler will handle it.
+		{ end: false },
+	);
+	res.end();
 }
 
 function basePage(title, ...body) {
@@ -209,118 +969,500 @@ function basePage(title, ...body) {
 	);
 }
 
+function selectedIf(condition, attributes) {
+	return condition ? { ...attributes, selected: "" } : attributes;
+}
+
+function formatLabels() {
+	return [
+		el("label",
+			"Format ",
+			el("select", { name: "format" },
+				map(
+					([format, { label }]) => el("option", selectedIf(format === siteConfig.pack.format, { value: format }), label),
+					archiveFormats,
+				),
+			),
+		),
+		el("label",
+			"Zip compression ",
+			el("select", { name: "compression" },
+				map(
+					([compression, { label }]) => el(
+						"option", selectedIf(compression === siteConfig.pack.compression, { value: compression }), label,
+					),
+					zipCompressions,
+				),
+			),
+		),
+	];
+}
+
+// Value of a time parameter of the view of a node in the format of
+// datetime-local inputs, or an empty string if it isn't in that format.
+function viewParam(node, name) {
+	return datetimeLocalValue(node.view?.params.find(([param]) => param === name)?.[1]);
+}
+
+function datetimeLocalValue(value) {
+	return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/.test(value ?? "") ? value : "";
+}
+
 function downloadSection(node) {
 	const fullName = node instanceof Root ? "Whole Archive" : "Whole Directory";
+	// Views already at a point in time have the snapshot taken at it.
+	const hasTimePoint = node.view?.params.some(([name]) => ["milestone", "created-before"].includes(name));
 	let instances = null;
 	if (node instanceof InstancesDir || node instanceof Instance || node instanceof Root) {
 		instances = el("form", { action: `${PUBLIC_URL}/pack`, method: "GET" },
 			el("input", { type: "hidden", name: "path", value: node.path }),
-			el("h3", `Download Snapshot`),
+			el("h3", "Download Snapshot"),
+			formatLabels(),
 			el("label",
-				"Format ",
-				el("select", { name: "format" },
-					el("option", { value: "zip", selected: "" }, "Zip"),
-					el("option", { value: "tar" }, "Tar"),
+				"Instances as ",
+				el("select", { name: "instances-as" },
+					map(
+						([value, label]) => el(
+							"option", selectedIf(value === siteConfig.pack["instances-as"], { value }), label,
+						),
+						[
+							["flat", "Saves named after instance"],
+							["folder", "Clusterio Compatible Folder"],
+							["clusterio-bundle", "Clusterio Cluster Bundle"],
+						],
+					),
 				),
 			),
 			el("label",
-				"Instances as ",
-				el("select", { name: "instances-as" },
-					el("option", { value: "last-save", selected: "" }, "Single save"),
-					el("option", { value: "clusterio-last-save" }, "Clusterio Compatible Folder"),
+				"Saves ",
+				el("select", { name: "saves" },
+					map(
+						([value, label]) => el("option", selectedIf(value === siteConfig.pack.saves, { value }), label),
+						[
+							["last", "Last save"],
+							["hourly", "One per hour"],
+							["daily", "One per day"],
+							["every-n-hours", "One per N hours"],
+							["n-evenly-spaced", "N evenly spaced"],
+							["all", "All saves"],
+						],
+					),
 				),
 			),
 			el("label",
+				"N ",
+				el("input", { type: "number", name: "n", min: "1", value: String(siteConfig.pack.n) }),
+			),
+			viewHiddenInputs(node),
+			!hasTimePoint && siteConfig.milestones.length ? el("label",
 				"Time point ",
-				el("select", { name: "created-before" },
-					el("option", { value: "2024-01-29T03:00" }, "1 kSPM"),
-					el("option", { value: "2024-01-29T17:00" }, "10 kSPM"),
-					el("option", { value: "2024-02-01T03:00" }, "100 kSPM"),
-					el("option", { value: "2024-03-10T12:00", selected: "" }, "1000 kSPM"),
-					el("option", { value: "2024-03-31T23:59" }, "Last saves"),
+				el("select", { name: "milestone" },
+					siteConfig.milestones.map(({ name, label }) => el("option",
+						selectedIf(name === siteConfig.pack.milestone, { value: name }),
+						label,
+					)),
 				),
-			),
+			) : null,
 			el("button", { type: "submit" }, "Download"),
 		);
 	}
 	return el("section", { class: "download" },
 		el("form", { action: `${PUBLIC_URL}/pack?path=${node.path}`, method: "GET" },
 			el("input", { type: "hidden", name: "path", value: node.path }),
+			viewHiddenInputs(node),
 			el("h3", `Download ${fullName} (${formatBytes(node.totalSize)})`),
+			formatLabels(),
+			el("button", { type: "submit" }, "Download"),
+		),
+		instances,
+		el("form", { action: `${PUBLIC_URL}/pack`, method: "GET" },
+			el("input", { type: "hidden", name: "path", value: node.path }),
+			el("h3", "Download Time Range"),
+			el("p", "Files created within the range in UTC, leave a bound empty to not limit it."),
 			el("label",
-				"Format ",
-				el("select", { name: "format" },
-					el("option", { value: "zip", selected: "" }, "Zip"),
-					el("option", { value: "tar" }, "Tar"),
-				),
+				"Created after ",
+				el("input", { type: "datetime-local", name: "created-after", value: viewParam(node, "created-after") }),
 			),
+			el("label",
+				"Created before ",
+				el("input", { type: "datetime-local", name: "created-before", value: viewParam(node, "created-before") }),
+			),
+			formatLabels(),
 			el("button", { type: "submit" }, "Download"),
+			" ",
+			el("button", { type: "submit", formaction: PUBLIC_URL + node.path }, "Show listing"),
 		),
-		instances,
 	);
 }
 
 function aboutSection(node) {
-	const mirrors = {
-		"https://www.hornwitser.no/eternity-saves/": "(100 Mbit/s)",
-		"https://wildwolf.dev/eternity-saves/": "(~400 Mbit/s cached on Cloudflare)",
-		"https://a.d-a.fi/": "(1 Gbit/s)",
-		"https://saves.vang.cloud/": "(1 Gbit/s)",
-	};
 	return [
 		el("h2", "About"),
+		siteConfig.about.map(paragraph => el("p", paragraph)),
 		el("p",
-			"An archive of the saves from the Eternity Cluster. See the ",
+			"See the ",
 			el("a", { href: "https://github.com/Hornwitser/eternity-cluster-archive" }, "eternity-cluster-archive"),
 			" repository for contributing and hosting your own copy.",
 		),
-		el("h3", "Mirrors"),
-		el("p", "This archive is also available on these mirrors"),
-		el("ul",
-			map(
-				([href, note])  => el("li", el("a", { href }, href), " ", note),
-				Object.entries(mirrors)
+		siteConfig.mirrors.length ? [
+			el("h3", "Mirrors"),
+			el("p", "This archive is also available on these mirrors"),
+			el("ul",
+				siteConfig.mirrors.map(({ url, note }) => el("li", el("a", { href: url }, url), note ? ` ${note}` : null)),
 			),
-		),
+		] : null,
 	];
 }
 
-function directoryListing(dir) {
-	return el("main",
-		el("h2", `Directory ${dir.path.replace(/\/(?!$)/g, "/\u{200B}")}`),
-		el("ul", { class: "dir" },
-			el("li",
-				el("span", { class: "header name" }, "Name"),
-				" ",
-				el("span", { class: "header content" }, "Content"),
-				" ",
-				el("span", { class: "header size" }, "Size"),
-				" ",
-				el("span", { class: "header created" }, "Created"),
-			),
-			dir instanceof Root ? null : parentEntry(),
-			map(directoryEntry, dir.entries.values()),
-		),
-		el("p", { class: "no-print" },
-			"Also available as: ",
-			el("a", { href: `${PUBLIC_URL}/files?format=plain&path=${dir.path}` }, "Plain text listing"),
-			" ",
-			el("a", { href: `${PUBLIC_URL}/meta?path=${dir.path}` }, "JSON structure"),
-		),
-	);
+// Groups config fields by the prefix before the first dot with the instance
+// and factorio fields first followed by the fields of plugins.
+function groupConfig(config) {
+	const groups = new Map([["instance", []], ["factorio", []]]);
+	for (const [field, value] of Object.entries(config).sort(([a], [b]) => strcmp(a, b))) {
+		const prefix = field.includes(".") ? field.slice(0, field.indexOf(".")) : "";
+		if (!groups.has(prefix)) {
+			groups.set(prefix, []);
+		}
+		groups.get(prefix).push([field.slice(prefix.length ? prefix.length + 1 : 0), value]);
+	}
+	return [...groups].filter(([, fields]) => fields.length);
 }
 
-function parentEntry() {
-	return el("li",
-		el("a", { href: "../" }, "../"),
-	);
+function configValue(value) {
+	if (value !== null && typeof value === "object") {
+		return el("pre", JSON.stringify(value, undefined, "\t"));
+	}
+	return el("code", JSON.stringify(value));
+}
+
+function configSection(instance) {
+	const groupNames = new Map([["instance", "Instance"], ["factorio", "Factorio"], ["", "Other"]]);
+	return el("section", { class: "config" },
+		el("h2", "Configuration"),
+		map(([prefix, fields]) => [
+			el("h3", groupNames.get(prefix) ?? `Plugin ${prefix}`),
+			el("dl",
+				map(([name, value]) => [el("dt", name), el("dd", configValue(value))], fields),
+			),
+		], groupConfig(instance.config)),
+	);
+}
+
+// Periods without any saves longer than this are listed as gaps.
+const saveGapMs = 24 * 60 * 60 * 1000;
+
+function formatDuration(ms) {
+	const hours = Math.floor(ms / 3600e3);
+	if (hours >= 24) {
+		return `${Math.floor(hours / 24)}d\u{A0}${hours % 24}h`;
+	}
+	return `${hours}h\u{A0}${String(Math.floor(ms / 60e3) % 60).padStart(2, "0")}m`;
+}
+
+function saveHistorySection(instance) {
+	const savesDir = instance.entries.get("saves");
+	const saves = savesDir instanceof SavesDir
+		? [...filter(entry => entry instanceof Save, savesDir.entries.values())]
+		: [];
+	if (!saves.length) {
+		return el("section", { class: "history" }, el("h2", "Save History"), el("p", "No saves."));
+	}
+	const first = saves[0];
+	const lastSave = saves[saves.length - 1];
+	const gaps = [];
+	for (let i = 1; i < saves.length; i++) {
+		if (saves[i].createdAtMs - saves[i - 1].createdAtMs > saveGapMs) {
+			gaps.push([saves[i - 1], saves[i]]);
+		}
+	}
+	return el("section", { class: "history" },
+		el("h2", "Save History"),
+		el("dl",
+			el("dt", "Saves"),
+			el("dd", `${saves.length} totalling ${formatBytes(savesDir.totalSize)}`),
+			el("dt", "First save"),
+			el("dd", el("a", { href: `saves/${first.name}` }, formatTime(first.createdAtMs))),
+			el("dt", "Last save"),
+			el("dd", el("a", { href: `saves/${lastSave.name}` }, formatTime(lastSave.createdAtMs))),
+			el("dt", "Running time"),
+			el("dd", formatDuration(lastSave.createdAtMs - first.createdAtMs)),
+			el("dt", "Save size"),
+			el("dd", `${formatBytes(first.stat.size)} to ${formatBytes(lastSave.stat.size)}`),
+		),
+		el("h3", "Gaps"),
+		gaps.length ? el("ul",
+			map(([before, after]) => el("li",
+				`${formatTime(before.createdAtMs)} to ${formatTime(after.createdAtMs)} `
+				+ `(${formatDuration(after.createdAtMs - before.createdAtMs)})`,
+			), gaps),
+		) : el("p", "No periods of more than a day without saves."),
+	);
+}
+
+// Query parameters selecting the view a node is part of for carrying it into
+// links to the API endpoints.
+function viewQuery(node) {
+	return node.view ? `&${new URLSearchParams(node.view.params)}` : "";
+}
+
+// Url of a path in the archive with each segment encoded, as names may
+// contain characters such as # and ? that have a meaning in urls.
+function pathUrl(path) {
+	return PUBLIC_URL + path.split("/").map(encodeURIComponent).join("/");
+}
+
+// Link to a directory that keeps the view of a node selected by query
+// parameters.
+function dirHref(href, node) {
+	return node.view && !node.view.inPath ? `${href}?${new URLSearchParams(node.view.params)}` : href;
+}
+
+function viewNotice(node) {
+	return el("p", { class: "notice" },
+		`${node.view.notice} `,
+		el("a", { href: PUBLIC_URL + node.path }, "Show all"),
+	);
+}
+
+function viewHiddenInputs(node) {
+	return node.view?.params.map(([name, value]) => el("input", { type: "hidden", name, value })) ?? [];
+}
+
+function browseAtLinks() {
+	return el("p", { class: "no-print" },
+		"Browse the archive as it was at: ",
+		siteConfig.milestones.map(({ name, label }, index) => [
+			index ? ", " : null,
+			el("a", { href: `${PUBLIC_URL}/at/${name}/` }, label),
+		]),
+	);
+}
+
+const listingSorts = new Map(Object.entries({
+	"name": undefined,
+	// Title of instances, other entries are sorted by their name
+	"title": entry => entry instanceof Instance ? entry.title : entry.name,
+	"size": entry => entry.totalSize,
+	"created": entry => entry.createdAtMs,
+	"modified": entry => entry.modifiedAtMs,
+}));
+
+// Directory pages are split into pages of this many entries.
+const defaultListingLimit = 500;
+
+function positiveIntegerParam(url, name) {
+	const value = url.searchParams.get(name);
+	if (value === null || value === "") {
+		return undefined;
+	}
+	if (!/^[1-9]\d*$/.test(value)) {
+		throw new BadRequest(`Invalid ${name} ${value}, must be a positive integer`);
+	}
+	return Number(value);
+}
+
+// Parses the sort, order, page and limit parameters of listings, all entries
+// are listed if no limit is given and there is no default limit.
+function listingOptionsFromUrl(url, defaultLimit) {
+	const sort = url.searchParams.get("sort") || "name";
+	if (!listingSorts.has(sort)) {
+		throw new BadRequest(`Invalid sort ${sort}, valid values: ${[...listingSorts.keys()].join(", ")}`);
+	}
+	const order = url.searchParams.get("order") || "asc";
+	if (!["asc", "desc"].includes(order)) {
+		throw new BadRequest(`Invalid order ${order}, valid values: asc, desc`);
+	}
+	const page = positiveIntegerParam(url, "page") ?? 1;
+	const limit = positiveIntegerParam(url, "limit") ?? defaultLimit;
+	return { sort, order, page, limit };
+}
+
+// Sorts entries and returns the page of them selected by the listing options.
+// Entries without a value for the field sorted by are placed last, entries
+// with the same value are ordered by name.
+function listingPage(entries, { sort, order, page, limit }) {
+	const key = listingSorts.get(sort);
+	const direction = order === "desc" ? -1 : 1;
+	const sorted = [...entries].sort((a, b) => {
+		if (key) {
+			const aValue = key(a);
+			const bValue = key(b);
+			const aMissing = aValue === undefined || Number.isNaN(aValue);
+			const bMissing = bValue === undefined || Number.isNaN(bValue);
+			if (aMissing !== bMissing) {
+				return aMissing ? 1 : -1;
+			}
+			const difference = aMissing ? 0 : typeof aValue === "string" ? strcmp(aValue, bValue) : aValue - bValue;
+			if (difference) {
+				return direction * difference;
+			}
+		}
+		return direction * strcmp(a.name, b.name);
+	});
+	const total = sorted.length;
+	const pages = limit ? Math.max(Math.ceil(total / limit), 1) : 1;
+	if (page > pages) {
+		throw new NotFound(`Page ${page} is past the last page ${pages}`);
+	}
+	return {
+		entries: limit ? sorted.slice((page - 1) * limit, page * limit) : sorted,
+		page,
+		pages,
+		total,
+	};
+}
+
+// Link to the current page with the query parameters changed, undefined
+// values remove the parameter.
+function listingHref(url, changes) {
+	const params = new URLSearchParams(url.searchParams);
+	for (const [name, value] of Object.entries(changes)) {
+		if (value === undefined) {
+			params.delete(name);
+		} else {
+			params.set(name, value);
+		}
+	}
+	const query = params.toString();
+	return query ? `?${query}` : "?";
+}
+
+function sortHeader(url, options, sort, label) {
+	const current = options.sort === sort;
+	// Sizes and times are most often wanted largest and newest first
+	const firstOrder = ["name", "title"].includes(sort) ? "asc" : "desc";
+	const order = current ? (options.order === "asc" ? "desc" : "asc") : firstOrder;
+	return el("a", { href: listingHref(url, { sort, order, page: undefined }) },
+		label,
+		current ? (options.order === "asc" ? " \u{25B2}" : " \u{25BC}") : null,
+	);
+}
+
+function pageLinks(url, { page, pages }) {
+	if (pages === 1) {
+		return null;
+	}
+	return el("p", { class: "pages no-print" },
+		page > 1 ? el("a", { href: listingHref(url, { page: String(page - 1) }) }, "Previous") : "Previous",
+		` Page ${page} of ${pages} `,
+		page < pages ? el("a", { href: listingHref(url, { page: String(page + 1) }) }, "Next") : "Next",
+	);
+}
+
+function directoryListing(dir, url) {
+	const options = listingOptionsFromUrl(url, defaultListingLimit);
+	const listing = listingPage(dir.entries.values(), options);
+	// Files inside zip files are not in the tree packed from.
+	const selectable = !(dir instanceof ZipDir);
+	return el("main",
+		el("h2", `Directory ${dir.path.replace(/\/(?!$)/g, "/\u{200B}")}`),
+		dir.view ? viewNotice(dir) : null,
+		dir instanceof SavesDir ? viewLinks(dir, "list") : null,
+		el("ul", { class: dir instanceof SavesDir ? "dir saves" : "dir" },
+			el("li",
+				el("span", { class: "header name" },
+					sortHeader(url, options, "name", "Name"),
+					dir instanceof InstancesDir ? [" / ", sortHeader(url, options, "title", "Title")] : null,
+				),
+				" ",
+				el("span", { class: "header content" }, "Content"),
+				" ",
+				el("span", { class: "header size" }, sortHeader(url, options, "size", "Size")),
+				" ",
+				el("span", { class: "header created" }, sortHeader(url, options, "created", "Created")),
+				dir instanceof SavesDir ? [
+					" ",
+					el("span", { class: "header version" }, "Version"),
+					" ",
+					el("span", { class: "header played" }, "Played"),
+					" ",
+					el("span", { class: "header mods" }, "Mods"),
+				] : null,
+			),
+			dir instanceof Root ? null : parentEntry(dir),
+			listing.entries.map(entry => directoryEntry(entry, selectable)),
+		),
+		pageLinks(url, listing),
+		selectable ? el("form", { id: "selection", class: "no-print", action: `${PUBLIC_URL}/pack`, method: "POST" },
+			viewHiddenInputs(dir),
+			formatLabels(),
+			el("button", { type: "submit" }, "Download selected"),
+		) : null,
+		el("p", { class: "no-print" },
+			"Also available as: ",
+			el("a", { href: `${PUBLIC_URL}/files?format=plain&path=${dir.path}${viewQuery(dir)}` }, "Plain text listing"),
+			" ",
+			el("a", { href: `${PUBLIC_URL}/meta?path=${dir.path}${viewQuery(dir)}` }, "JSON structure"),
+		),
+	);
+}
+
+function previewUrl(save) {
+	return `${PUBLIC_URL}/preview?path=${encodeURIComponent(save.path)}`;
+}
+
+function latestSavePreview(save) {
+	return el("figure", { class: "preview" },
+		el("a", { href: `saves/${save.name}` },
+			el("img", { src: previewUrl(save), alt: `Preview of ${save.name}` }),
+		),
+		el("figcaption", `Latest save from ${formatTime(save.createdAtMs)}`),
+	);
+}
+
+function viewLinks(dir, view) {
+	return el("p", { class: "no-print" },
+		"View as: ",
+		view === "list" ? "List" : el("a", { href: `?view=list${viewQuery(dir)}` }, "List"),
+		" ",
+		view === "thumbnails" ? "Thumbnails" : el("a", { href: `?view=thumbnails${viewQuery(dir)}` }, "Thumbnails"),
+	);
+}
+
+function thumbnailListing(dir, url) {
+	const listing = listingPage(
+		filter(entry => entry instanceof Save, dir.entries.values()),
+		listingOptionsFromUrl(url, defaultListingLimit),
+	);
+	return el("main",
+		el("h2", `Directory ${dir.path.replace(/\/(?!$)/g, "/\u{200B}")}`),
+		viewLinks(dir, "thumbnails"),
+		el("ul", { class: "thumbnails" },
+			listing.entries.map(save => el("li",
+				el("a", { href: save.name },
+					el("img", { src: previewUrl(save), alt: `Preview of ${save.name}`, loading: "lazy" }),
+					el("span", formatTime(save.createdAtMs)),
+				),
+			)),
+		),
+		pageLinks(url, listing),
+	);
+}
+
+function parentEntry(dir) {
+	return el("li",
+		el("a", { href: dirHref("../", dir) }, "../"),
+	);
+}
+
+// Name of an entry in a directory listing, with a checkbox for the download
+// selected form if it can be packed.
+function entryName(entry, selectable, href, text) {
+	if (!selectable) {
+		return el("a", { class: "name", href }, text);
+	}
+	return el("span", { class: "name" },
+		el("input", { type: "checkbox", name: "path", value: entry.path, form: "selection", "aria-label": `Select ${text}` }),
+		" ",
+		el("a", { href }, text),
+	);
 }
 
-function directoryEntry(entry) {
+function directoryEntry(entry, selectable) {
 	const size = formatBytes(entry.totalSize, true);
 	if (entry instanceof Instance) {
 		return el("li",
-			el("a", { class: "name", href: entry.name + "/" }, entry.title),
+			entryName(entry, selectable, dirHref(entry.name + "/", entry), entry.title),
 			" ",
 			el("span", { class: "content" }, `${entry.entries.get("saves")?.filesCount} Saves`),
 			" ",
@@ -329,9 +1471,33 @@ function directoryEntry(entry) {
 			el("span", { class: "created" }, formatTime(entry.createdAtMs)),
 		);
 	}
+	if (entry instanceof Save) {
+		const factorio = entry.factorio;
+		return el("li",
+			entryName(entry, selectable, entry.name, entry.name),
+			" ",
+			el("span", { class: "size" }, size),
+			entry.createdAtMs ? [
+				" ",
+				el("span", { class: "created" }, formatTime(entry.createdAtMs)),
+			] : null,
+			factorio ? [
+				" ",
+				el("span", { class: "version" }, factorio.version),
+				factorio.ticks !== undefined ? [
+					" ",
+					el("span", { class: "played" }, formatTicks(factorio.ticks)),
+				] : null,
+				" ",
+				el("span", { class: "mods", title: factorio.mods.map(mod => `${mod.name} ${mod.version}`).join("\n") },
+					String(factorio.mods.length),
+				),
+			] : null,
+		);
+	}
 	if (entry instanceof File) {
 		return el("li",
-			el("a", { class: "name", href: entry.name }, entry.name),
+			entryName(entry, selectable, entry.name, entry.name),
 			" ",
 			el("span", { class: "size" }, size),
 			entry.createdAtMs ? [
@@ -342,7 +1508,7 @@ function directoryEntry(entry) {
 	}
 	if (entry instanceof Dir) {
 		return el("li",
-			el("a", { class: "name", href: entry.name + "/" }, `${entry.name}/`),
+			entryName(entry, selectable, dirHref(entry.name + "/", entry), `${entry.name}/`),
 			" ",
 			el("span", { class: "content" }, `${entry.foldersCount} Folders ${entry.filesCount} Files`),
 			" ",
@@ -363,6 +1529,8 @@ function maybeTs(tsMs) {
 class Root {
 	entries = new Map();
 	realPath = ROOT_DIR;
+	// Filtered view of the archive this is part of, see treeView.
+	view;
 	foldersCount = 0;
 	filesCount = 0;
 	totalSize = 0;
@@ -372,10 +1540,17 @@ class Root {
 	toJSON() {
 		return { type: "root", entries: [...this.entries.values()] };
 	}
-	toHTML() {
+	toHTML(url) {
 		return basePage(
-			"Eternity Cluster Archive",
-			directoryListing(this),
+			siteConfig.title,
+			searchForm(""),
+			directoryListing(this, url),
+			el("p", { class: "no-print" },
+				"See the ",
+				el("a", { href: `${PUBLIC_URL}/timeline` }, "timeline"),
+				" for when saves were made across the cluster.",
+			),
+			siteConfig.milestones.length ? browseAtLinks() : null,
 			downloadSection(this),
 			aboutSection(this),
 		);
@@ -386,6 +1561,7 @@ class Node {
 	parent;
 	name;
 	realPath
+	view;
 	foldersCount = 0;
 	filesCount = 0;
 	totalSize = 0;
@@ -409,21 +1585,28 @@ function mimeFor(name) {
 
 class File extends Node {
 	stat;
-	constructor(parent, name, realPath, stat) {
+	constructor(parent, name, realPath, stat, mime = mimeFor(name)) {
 		super(parent, name, realPath)
 		this.stat = stat;
 		this.modifiedAtMs = stat.mtimeMs;
-		this.mime = mimeFor(name);
+		this.mime = mime;
 	}
 	get path() {
 		return this.parent.path + this.name;
 	}
+	get sha256() {
+		return checksums.get(this)?.sha256;
+	}
+	get crc32() {
+		return checksums.get(this)?.crc32;
+	}
 	toJSON() {
 		return {
 			type: "file",
 			name: this.name,
 			size: this.stat.size,
 			modified: this.modifiedAtMs / 1000,
+			sha256: this.sha256,
 		};
 	}
 }
@@ -436,6 +1619,11 @@ class Save extends File {
 	get path() {
 		return this.parent.path + this.name;
 	}
+	// Game version, scenario, ticks and mods read from the save, undefined if
+	// not yet read or the save could not be read.
+	get factorio() {
+		return saveInfos.get(this)?.info;
+	}
 	toJSON() {
 		return {
 			type: "save",
@@ -443,6 +1631,8 @@ class Save extends File {
 			size: this.stat.size,
 			created: this.createdAtMs / 1000,
 			modified: this.modifiedAtMs / 1000,
+			sha256: this.sha256,
+			factorio: this.factorio,
 		};
 	}
 }
@@ -461,20 +1651,20 @@ class Dir extends Node {
 			entries: [...this.entries.values()]
 		};
 	}
-	toHTML() {
+	toHTML(url) {
 		return basePage(
-			`${this.path} - Eternity Cluster Archive`,
-			directoryListing(this),
+			`${this.path} - ${siteConfig.title}`,
+			directoryListing(this, url),
 			downloadSection(this),
 		);
 	}
 }
 
 class InstancesDir extends Dir {
-	toHTML() {
+	toHTML(url) {
 		return basePage(
-			"Instances - Eternity Cluster Archive",
-			directoryListing(this),
+			`Instances - ${siteConfig.title}`,
+			directoryListing(this, url),
 			downloadSection(this),
 		);
 	}
@@ -487,7 +1677,8 @@ class Instance extends Dir {
 	constructor(parent, name, realPath, config) {
 		super(parent, name, realPath)
 		this.config = config;
-		this.title = config["instance.name"];
+		// Instances missing a name in their config go by their directory name.
+		this.title = config["instance.name"] ?? name;
 		this.id = config["instance.id"];
 	}
 	toJSON() {
@@ -496,83 +1687,429 @@ class Instance extends Dir {
 			name: this.name,
 			title: this.title,
 			id: this.id,
+			config: this.config,
 			created: maybeTs(this.createdAtMs),
 			modified: maybeTs(this.modifiedAtMs),
 			entries: [...this.entries.values()]
 		};
 	}
-	toHTML() {
+	toHTML(url) {
+		const saves = this.entries.get("saves");
+		const latestSave = saves instanceof SavesDir
+			? last(filter(entry => entry instanceof Save, saves.entries.values()))
+			: undefined;
 		return basePage(
-			`${this.title} - Eternity Cluster Archive`,
-			directoryListing(this),
+			`${this.title} - ${siteConfig.title}`,
+			latestSave ? latestSavePreview(latestSave) : null,
+			directoryListing(this, url),
+			saveHistorySection(this),
+			configSection(this),
 			downloadSection(this),
 		);
 	}
 }
 
 class SavesDir extends Dir {
-	toHTML() {
+	toHTML(url) {
+		const view = url.searchParams.get("view") ?? "list";
+		if (!["list", "thumbnails"].includes(view)) {
+			throw new BadRequest(`Invalid view ${view}, valid values: list, thumbnails`);
+		}
 		return basePage(
-			`Saves for ${this.parent.title} - Eternity Cluster Archive`,
-			directoryListing(this),
+			`Saves for ${this.parent.title} - ${siteConfig.title}`,
+			view === "thumbnails" ? thumbnailListing(this, url) : directoryListing(this, url),
 			downloadSection(this),
 		);
 	}
 }
 
-function entryPath(entry) {
-	return "/" + entry.path.replace(/\\/g, "/") + "/" + entry.name;
+// Directory inside a zip file in the archive, the zip file itself is
+// represented by a ZipDir with the same path as it plus a slash.
+class ZipDir extends Dir {
+	toHTML(url) {
+		return basePage(
+			`${this.path} - ${siteConfig.title}`,
+			directoryListing(this, url),
+		);
+	}
 }
 
-async function buildEntry(tree, parent, entry, realPath) {
-	if (entry.isDirectory()) {
-		let dir;
-		if (parent instanceof Root && entry.name === "instances") {
-			dir = new InstancesDir(parent, entry.name, realPath);
-		} else if (parent instanceof InstancesDir) {
-			const config = JSON.parse(await fs.readFile(realPath + "/instance.json", "utf8"));
-			dir = new Instance(parent, entry.name, realPath, config);
-		} else if (parent instanceof Instance && entry.name === "saves") {
-			dir = new SavesDir(parent, entry.name, realPath);
-		} else {
-			dir = new Dir(parent, entry.name, realPath);
+// File with content generated for a pack, not part of the archive.
+class GeneratedFile extends File {
+	content;
+	constructor(parent, name, content, mtimeMs) {
+		super(parent, name, undefined, { size: content.length, mtimeMs });
+		this.content = content;
+	}
+	get sha256() {
+		return undefined;
+	}
+}
+
+// File inside a zip file in the archive.
+class ZipEntry extends File {
+	zip;
+	entry;
+	reader;
+	constructor(parent, name, zip, entry, reader) {
+		const mime = mimeTypes.get(name.slice(name.lastIndexOf("."))) ?? "application/octet-stream";
+		super(parent, name, zip.realPath, { size: entry.size, mtimeMs: entry.mtimeMs }, mime);
+		this.zip = zip;
+		this.entry = entry;
+		this.reader = reader;
+	}
+	get sha256() {
+		return undefined;
+	}
+	get crc32() {
+		return this.entry.crc;
+	}
+	createReadStream() {
+		return this.reader.createReadStream(this.entry);
+	}
+}
+
+async function statIfExists(realPath) {
+	try {
+		return await fs.stat(realPath);
+	} catch (err) {
+		if (err.code === "ENOENT") {
+			return undefined; // Removed while scanning
 		}
-		parent.entries.set(entry.name, dir);
-		tree.set(dir.path, dir);
+		throw err;
 	}
-	if (entry.isFile()) {
-		const stat = await fs.stat(realPath);
-		let file;
-		if (parent instanceof SavesDir) {
-			file = new Save(parent, entry.name, realPath, stat);
-		} else {
-			file = new File(parent, entry.name, realPath, stat);
+}
+
+async function loadInstanceConfig(realPath, path) {
+	try {
+		return JSON.parse(await fs.readFile(realPath + "/instance.json", "utf8"));
+	} catch (err) {
+		console.log(`Skipping ${path}: Unable to load instance.json: ${err.message}`);
+		return undefined;
+	}
+}
+
+function sameStat(a, b) {
+	return a?.size === b?.size && a?.mtimeMs === b?.mtimeMs;
+}
+
+// Reads the content of a directory in the archive recursively along with the
+// stat of files and config of instances, without touching the tree.  If a
+// previous scan of the directory is passed and the modification time of the
+// directory is unchanged its entries are reused instead of being read again.
+async function scanDir(realPath, path, cached) {
+	let dirStat;
+	let dirents;
+	try {
+		dirStat = await fs.stat(realPath);
+		if (cached && cached.mtimeMs === dirStat.mtimeMs) {
+			// The names in the directory are unchanged, but files rewritten in
+			// place only change their own stat.
+			const entries = [];
+			for (const entry of cached.entries) {
+				const entryRealPath = realPath + "/" + entry.name;
+				if (entry.entries) {
+					const scanned = await scanDir(entryRealPath, path + entry.name + "/", entry);
+					if (!scanned) {
+						continue;
+					}
+					let config = entry.config;
+					const configStat = dir => dir.entries.find(child => child.name === "instance.json")?.stat;
+					if (path === "/instances/" && !sameStat(configStat(entry), configStat(scanned))) {
+						config = await loadInstanceConfig(entryRealPath, path + entry.name + "/");
+						if (!config) {
+							continue;
+						}
+					}
+					entries.push({ ...scanned, name: entry.name, config });
+				} else {
+					const stat = await statIfExists(entryRealPath);
+					if (stat) {
+						entries.push({ name: entry.name, realPath: entryRealPath, stat });
+					}
+				}
+			}
+			return { realPath, mtimeMs: dirStat.mtimeMs, entries };
+		}
+		dirents = await fs.readdir(realPath, { withFileTypes: true });
+	} catch (err) {
+		if (err.code === "ENOENT") {
+			return undefined; // Removed while scanning
+		}
+		throw err;
+	}
+	dirents.sort((a, b) => strcmp(a.name, b.name));
+	const cachedEntries = new Map(cached?.entries.map(entry => [entry.name, entry]));
+	const entries = [];
+	for (const dirent of dirents) {
+		const entryRealPath = realPath + "/" + dirent.name;
+		if (dirent.isDirectory()) {
+			let config;
+			if (path === "/instances/") {
+				config = await loadInstanceConfig(entryRealPath, path + dirent.name + "/");
+				if (!config) {
+					continue;
+				}
+			}
+			const cachedEntry = cachedEntries.get(dirent.name);
+			const scanned = await scanDir(
+				entryRealPath, path + dirent.name + "/", cachedEntry?.entries ? cachedEntry : undefined,
+			);
+			if (scanned) {
+				entries.push({ ...scanned, name: dirent.name, config });
+			}
+		} else if (dirent.isFile()) {
+			const stat = await statIfExists(entryRealPath);
+			if (stat) {
+				entries.push({ name: dirent.name, realPath: entryRealPath, stat });
+			}
+		}
+	}
+	return { realPath, mtimeMs: dirStat.mtimeMs, entries };
+}
+
+// The index file stores the result of the last scan in order to speed up
+// starting the server.
+async function loadIndex() {
+	let index;
+	try {
+		index = JSON.parse(await fs.readFile(INDEX_FILE, "utf8"));
+	} catch (err) {
+		if (err.code !== "ENOENT") {
+			console.log(`Ignoring index file ${INDEX_FILE}: ${err.message}`);
+		}
+		return undefined;
+	}
+	if (index.version !== indexVersion || index.rootDir !== ROOT_DIR) {
+		console.log(`Ignoring index file ${INDEX_FILE}: Created for a different version or ROOT_DIR`);
+		return undefined;
+	}
+	function restoreRealPaths(dir, realPath) {
+		dir.realPath = realPath;
+		for (const entry of dir.entries) {
+			if (entry.entries) {
+				restoreRealPaths(entry, realPath + "/" + entry.name);
+			} else {
+				entry.realPath = realPath + "/" + entry.name;
+			}
 		}
-		parent.entries.set(entry.name, file);
-		tree.set(file.path, file);
+		return dir;
 	}
+	return restoreRealPaths(index.root, ROOT_DIR);
+}
+const indexVersion = 1;
+
+function serializeScan(dir) {
+	return {
+		mtimeMs: dir.mtimeMs,
+		entries: dir.entries.map(entry => (entry.entries
+			? { name: entry.name, config: entry.config, ...serializeScan(entry) }
+			: { name: entry.name, stat: { size: entry.stat.size, mtimeMs: entry.stat.mtimeMs } }
+		)),
+	};
 }
 
-async function buildTree() {
-	const tree = new Map();
-	const root = new Root();
-	tree.set("/", root);
+async function saveIndex(scanned) {
+	const content = JSON.stringify({ version: indexVersion, rootDir: ROOT_DIR, root: serializeScan(scanned) });
+	const tempFile = `${INDEX_FILE}.tmp`;
+	await fs.writeFile(tempFile, content);
+	await fs.rename(tempFile, INDEX_FILE);
+}
 
-	const entries = await fs.readdir(ROOT_DIR, { withFileTypes: true, recursive: true });
-	entries.sort((a, b) => strcmp(entryPath(a), entryPath(b)));
-	for (const entry of entries) {
-		const parentPath = entry.path.slice(ROOT_DIR.length).replace(/\\/g, "/");
-		const parent = tree.get(parentPath + "/");
-		const realPath = entry.path + "/" + entry.name;
-		await buildEntry(tree, parent, entry, realPath);
+function createNode(parent, scanned) {
+	if (scanned.entries) {
+		if (parent instanceof Root && scanned.name === "instances") {
+			return new InstancesDir(parent, scanned.name, scanned.realPath);
+		}
+		if (parent instanceof InstancesDir) {
+			return new Instance(parent, scanned.name, scanned.realPath, scanned.config);
+		}
+		if (parent instanceof Instance && scanned.name === "saves") {
+			return new SavesDir(parent, scanned.name, scanned.realPath);
+		}
+		return new Dir(parent, scanned.name, scanned.realPath);
+	}
+	if (!mimeTypes.has(scanned.name.slice(scanned.name.lastIndexOf(".")))) {
+		console.log(`Skipping ${parent.path}${scanned.name}: Missing MIME type`);
+		return undefined;
+	}
+	if (parent instanceof SavesDir) {
+		return new Save(parent, scanned.name, scanned.realPath, scanned.stat);
+	}
+	return new File(parent, scanned.name, scanned.realPath, scanned.stat);
+}
+
+// Removes node and everything below it from the tree, the entries of its
+// parent are left for the caller to replace.
+function removeNode(tree, node) {
+	tree.delete(node.path);
+	if (node instanceof Dir) {
+		for (const child of node.entries.values()) {
+			removeNode(tree, child);
+		}
+	}
+}
+
+// Updates the nodes in dir to match the scanned entries.  The entries of dir
+// are replaced rather than modified to not disturb iterations in progress.
+function updateEntries(tree, dir, scannedEntries, changes) {
+	const entries = new Map();
+	let modified = false;
+	for (const scanned of scannedEntries) {
+		let node = dir.entries.get(scanned.name);
+		if (node && (node instanceof Dir) !== Boolean(scanned.entries)) {
+			removeNode(tree, node);
+			changes.removed += 1;
+			node = undefined;
+			modified = true;
+		}
+		if (!node) {
+			node = createNode(dir, scanned);
+			if (!node) {
+				continue;
+			}
+			tree.set(node.path, node);
+			changes.added += 1;
+			modified = true;
+		} else if (node instanceof File) {
+			if (node.stat.size !== scanned.stat.size || node.stat.mtimeMs !== scanned.stat.mtimeMs) {
+				node.stat = scanned.stat;
+				node.modifiedAtMs = scanned.stat.mtimeMs;
+				changes.changed += 1;
+			}
+		} else if (node instanceof Instance) {
+			node.config = scanned.config;
+			node.title = scanned.config["instance.name"] ?? node.name;
+			node.id = scanned.config["instance.id"];
+		}
+		entries.set(node.name, node);
+		if (node instanceof Dir) {
+			updateEntries(tree, node, scanned.entries, changes);
+		}
+	}
+	for (const node of dir.entries.values()) {
+		if (!entries.has(node.name)) {
+			removeNode(tree, node);
+			changes.removed += 1;
+			modified = true;
+		}
+	}
+	if (modified) {
+		dir.entries = new Map([...entries].sort(([a], [b]) => strcmp(a, b)));
 	}
+}
+
+// Brings the tree up to date with the scanned content of ROOT_DIR.  All the
+// reading is done before the tree is modified so that requests never observe
+// a partially updated tree, and nodes are updated in place so that requests
+// in progress keep working on what they've already looked up.
+function applyScan(tree, scanned) {
+	const root = tree.get("/");
+	const changes = { added: 0, removed: 0, changed: 0 };
+	updateEntries(tree, root, scanned?.entries ?? [], changes);
 	calculateMeta(root);
-	return tree;
+	treeViews.clear();
+	if (changes.added || changes.removed || changes.changed) {
+		treeVersion += 1;
+	}
+	return changes;
+}
+
+// Filtered view of the archive selected by time parameters.  inPath is set
+// for views selected by an /at/<time>/ path rather than query parameters.
+function createView(params, inPath) {
+	const bounds = boundsFromParams(params);
+	const descriptions = bounds.map(({ param, ms, milestone }) => {
+		const time = milestone ? `${milestone.label} (${formatTime(ms)} UTC)` : `${formatTime(ms)} UTC`;
+		return `${param.replace("-", " ")} ${time}`;
+	});
+	const pointInTime = bounds.length === 1 && bounds[0].param === "created-before";
+	return {
+		params,
+		inPath,
+		key: `${inPath ? "at" : ""}?${new URLSearchParams(params)}`,
+		notice: pointInTime
+			? `Showing the archive as it was at ${descriptions[0].slice("created before ".length)}.`
+			: `Showing only files ${descriptions.join(" and ")}.`,
+		filter: fileFilterFromParams(params),
+	};
+}
+
+// View for an /at/<time>/ path, the time is either the name of a milestone
+// or a time in any of the formats accepted by the time bounds.
+function viewAt(value) {
+	if (siteConfig.milestones.some(({ name }) => name === value)) {
+		return createView([["milestone", value]], true);
+	}
+	try {
+		parseTime("time", value);
+	} catch (err) {
+		const names = siteConfig.milestones.map(({ name }) => name).join(", ");
+		throw new BadRequest(names ? `${err.message}, or one of the milestones ${names}` : err.message);
+	}
+	return createView([["created-before", value]], true);
+}
+
+// Counts changes to the tree, together with the time the server started it
+// identifies the state of the tree for validators.
+let treeVersion = 0;
+const startedAtMs = Date.now();
+
+// Views of the tree keyed by the parameters selecting them, cleared when the
+// tree changes.
+const treeViews = new Map();
+const maxTreeViews = 8;
+
+function copyDir(dir, parent, view, nodes) {
+	const copy = Object.assign(Object.create(Object.getPrototypeOf(dir)), dir);
+	copy.parent = parent;
+	copy.view = view;
+	copy.entries = new Map();
+	nodes.set(copy.path, copy);
+	for (const [name, child] of dir.entries) {
+		if (!view.filter(child)) {
+			continue;
+		}
+		if (child instanceof Dir) {
+			const childCopy = copyDir(child, copy, view, nodes);
+			// Leave out directories with none of their content in the view.
+			if (childCopy.entries.size || !child.entries.size) {
+				copy.entries.set(name, childCopy);
+			} else {
+				nodes.delete(childCopy.path);
+			}
+		} else {
+			copy.entries.set(name, child);
+			nodes.set(child.path, child);
+		}
+	}
+	return copy;
+}
+
+// Returns a tree with only the files in the view, with the counts, sizes and
+// times of directories recalculated for it.  Files are shared with the full
+// tree while directories are copied.
+function treeView(view) {
+	let nodes = treeViews.get(view.key);
+	if (!nodes) {
+		nodes = new Map();
+		calculateMeta(copyDir(tree.get("/"), undefined, view, nodes));
+		treeViews.set(view.key, nodes);
+		if (treeViews.size > maxTreeViews) {
+			treeViews.delete(treeViews.keys().next().value);
+		}
+	}
+	return nodes;
 }
 
 // Calculates total sizes and item counts down the tree
 function calculateMeta(node) {
 	if (node instanceof Dir || node instanceof Root) {
+		node.foldersCount = 0;
+		node.filesCount = 0;
+		node.totalSize = 0;
+		node.createdAtMs = undefined;
+		node.modifiedAtMs = undefined;
 		for (const child of node.entries.values()) {
 			calculateMeta(child);
 			node.foldersCount += child.foldersCount + (child instanceof Dir);
@@ -590,182 +2127,1295 @@ function calculateMeta(node) {
 	}
 }
 
-console.log("Scanning files");
-const tree = await buildTree();
+// Nodes of the zip files most recently browsed keyed by real path.
+const zipTrees = new Map();
+const maxZipTrees = 20;
 
-class VirtualFile {
-	content;
-	constructor(name, content) {
-		this.content = content;
-		this.name = name;
-		this.mime = mimeFor(name);
-	}
-	async get(_req, res) {
-		res.writeHead(200, {
-			"Content-Type": this.mime,
-			"Content-Length": `${this.content.length}`,
-		});
-		res.end(this.content);
+function sortEntries(dir) {
+	dir.entries = new Map([...dir.entries].sort(([a], [b]) => strcmp(a, b)));
+	for (const child of dir.entries.values()) {
+		if (child instanceof Dir) {
+			sortEntries(child);
+		}
 	}
 }
 
-class FileListing {
-	tree;
-	constructor(tree) {
-		this.tree = tree;
-	}
-	async get(req, res) {
-		const url = new URL(req.url, `http://${req.headers.host}`);
-		const fileFilter = fileFilterFromUrl(url);
-		const format = url.searchParams.get("format") ?? "plain";
-		const node = this.tree.get(url.searchParams.get("path") ?? "/");
-		if (!node) {
-			throw new NotFound();
+// Builds the nodes for the content of a zip file in the archive from its
+// central directory, without reading any of the files in it.
+async function readZipTree(zip) {
+	const reader = await ZipReader.open(zip.realPath);
+	const root = new ZipDir(zip.parent, zip.name, zip.realPath);
+	const nodes = new Map([[root.path, root]]);
+	for (const entry of reader.entries) {
+		const segments = entry.name.split("/");
+		const isDir = entry.name.endsWith("/");
+		if (isDir) {
+			segments.pop();
 		}
-
-		const files = walkFiles(node, n => fileFilter(n) ? n : undefined);
-		if (format === "plain") {
-			const lines = map(file => PUBLIC_URL + file.path + "\n", files);
-			textResponse(res, 200, [...lines].join(""));
-		} else if (format === "json") {
-			const lines = map(file => ({
-				type: "file",
-				path: file.path,
-				size: file.stat.size,
-				created: maybeTs(file.createdAtMs),
-				modified: file.modifiedAtMs / 1000,
-			}), files);
-			jsonResponse(res, 200, [...lines]);
-		} else {
-			throw new BadRequest(`Invalid format ${format}, valid values: plain, json`);
+		if (segments.some(segment => ["", ".", ".."].includes(segment))) {
+			continue;
+		}
+		let dir = root;
+		for (const [index, segment] of segments.entries()) {
+			if (index === segments.length - 1 && !isDir) {
+				const file = new ZipEntry(dir, segment, zip, entry, reader);
+				dir.entries.set(segment, file);
+				nodes.set(file.path, file);
+				break;
+			}
+			let child = dir.entries.get(segment);
+			if (!(child instanceof ZipDir)) {
+				child = new ZipDir(dir, segment, zip.realPath);
+				dir.entries.set(segment, child);
+				nodes.set(child.path, child);
+			}
+			dir = child;
 		}
 	}
+	sortEntries(root);
+	calculateMeta(root);
+	return nodes;
 }
 
-class Metadata {
-	tree;
-	constructor(tree) {
-		this.tree = tree;
+async function zipTree(zip) {
+	let cached = zipTrees.get(zip.realPath);
+	if (cached && cached.size === zip.stat.size && cached.mtimeMs === zip.stat.mtimeMs) {
+		zipTrees.delete(zip.realPath); // Reinserted below to mark as recently used
+	} else {
+		cached = { size: zip.stat.size, mtimeMs: zip.stat.mtimeMs, nodes: await readZipTree(zip) };
 	}
-	async get(req, res) {
-		const url = new URL(req.url, `http://${req.headers.host}`);
-		const node = this.tree.get(url.searchParams.get("path") ?? "/");
-		if (!node) {
-			throw new NotFound();
-		}
-		jsonResponse(res, 200, node);
+	zipTrees.set(zip.realPath, cached);
+	if (zipTrees.size > maxZipTrees) {
+		zipTrees.delete(zipTrees.keys().next().value);
 	}
+	return cached.nodes;
 }
 
-async function createZipStream(files, nameFn) {
-	const zipFile = new yazl.ZipFile();
-	for (const file of files) {
-		zipFile.addFile(
-			file.realPath,
-			nameFn(file),
-			{ compress: false },
-		);
+// Looks up a path in the tree, including paths inside the zip files in it.
+async function lookupPath(tree, path) {
+	const node = tree.get(path);
+	if (node) {
+		return node;
 	}
-	const zipLength = await new Promise(resolve => {
-		zipFile.end(undefined, resolve);
-	});
-	return [zipFile.outputStream, zipLength];
+	for (let index = path.indexOf(".zip/"); index !== -1; index = path.indexOf(".zip/", index + 1)) {
+		const zip = tree.get(path.slice(0, index + 4));
+		if (zip instanceof File) {
+			let nodes;
+			try {
+				nodes = await zipTree(zip);
+			} catch (err) {
+				if (err.code !== "ENOENT") {
+					console.log(`Unable to read zip file ${zip.realPath}: ${err.message}`);
+				}
+				throw new NotFound();
+			}
+			return nodes.get(path);
+		}
+	}
+	return undefined;
 }
 
-async function createTarStream(files, nameFn) {
-	const tarFile = new TarFile();
-	for (const file of files) {
-		tarFile.addFile(
-			file.realPath,
-			nameFn(file),
-			file.stat,
-		);
+// Information computed from the content of files, keyed by real path and
+// stored along with the size and modification time of the file it was
+// computed for.  Entries are computed in the background and saved to disk
+// so that they survive restarts.
+class FileCache {
+	description;
+	file;
+	entries = new Map();
+	// Incremented as entries are computed
+	version = 0;
+	_inProgress = false;
+	_pending = new Set();
+	constructor(description, file, appliesTo, compute, isCurrent = () => true) {
+		this.description = description;
+		this.file = file;
+		this.appliesTo = appliesTo;
+		this.compute = compute;
+		this.isCurrent = isCurrent;
+	}
+
+	get(file) {
+		const entry = this.entries.get(file.realPath);
+		if (entry && entry.size === file.stat.size && entry.mtimeMs === file.stat.mtimeMs) {
+			return entry;
+		}
+		return undefined;
+	}
+
+	async load() {
+		let content;
+		try {
+			content = JSON.parse(await fs.readFile(this.file, "utf8"));
+		} catch (err) {
+			if (err.code !== "ENOENT") {
+				console.log(`Ignoring ${this.description} file ${this.file}: ${err.message}`);
+			}
+			return;
+		}
+		for (const [realPath, entry] of Object.entries(content)) {
+			if (this.isCurrent(entry)) {
+				this.entries.set(realPath, entry);
+			}
+		}
+	}
+
+	async save() {
+		// Only the entries of files currently in the archive are kept.
+		const content = {};
+		for (const file of walkFiles(tree.get("/"))) {
+			if (this.get(file)) {
+				content[file.realPath] = this.entries.get(file.realPath);
+			}
+		}
+		const tempFile = `${this.file}.tmp`;
+		await fs.writeFile(tempFile, JSON.stringify(content));
+		await fs.rename(tempFile, this.file);
+	}
+
+	// Computes the entries of files in the tree below node that are missing one.
+	async update(node = tree.get("/")) {
+		this._pending.add(node);
+		if (this._inProgress) {
+			return;
+		}
+		this._inProgress = true;
+		try {
+			while (this._pending.size) {
+				const [next] = this._pending;
+				this._pending.delete(next);
+				let computed = 0;
+				let savedAtMs = Date.now();
+				for (const file of [...walkFiles(next)]) {
+					if (!this.appliesTo(file) || this.get(file) || tree.get(file.path) !== file) {
+						continue;
+					}
+					try {
+						this.entries.set(file.realPath, await this.compute(file.realPath));
+						this.version += 1;
+					} catch (err) {
+						if (err.code === "ENOENT") {
+							continue; // Removed since last scan
+						}
+						throw err;
+					}
+					computed += 1;
+					if (this.file && Date.now() - savedAtMs > 60e3) {
+						await this.save();
+						savedAtMs = Date.now();
+					}
+				}
+				if (computed) {
+					console.log(`Computed ${this.description} of ${computed} files`);
+					if (this.file) {
+						await this.save();
+					}
+				}
+			}
+		} catch (err) {
+			console.error(`Computing ${this.description} failed:`, err);
+		} finally {
+			this._inProgress = false;
+		}
 	}
-	const tarLength = tarFile.end();
-	return [tarFile.outputStream, tarLength];
 }
 
-class Packer {
+async function computeChecksum(realPath) {
+	const fh = await fs.open(realPath);
+	const stat = await fh.stat();
+	const hash = crypto.createHash("sha256");
+	let crc = 0;
+	for await (const chunk of fh.createReadStream()) {
+		hash.update(chunk);
+		crc = crc32(chunk, crc);
+	}
+	// Kept so that zip downloads can be resumed without reading the files before the offset.
+	return { size: stat.size, mtimeMs: stat.mtimeMs, sha256: hash.digest("hex"), crc32: crc };
+}
+
+async function computeSaveInfo(realPath) {
+	const stat = await fs.stat(realPath);
+	try {
+		return { size: stat.size, mtimeMs: stat.mtimeMs, info: await readSaveInfo(realPath) };
+	} catch (err) {
+		if (err.code === "ENOENT") {
+			throw err;
+		}
+		// Remembered so that broken saves are not read again on every update.
+		console.log(`Unable to read save ${realPath}: ${err.message}`);
+		return { size: stat.size, mtimeMs: stat.mtimeMs, error: err.message };
+	}
+}
+
+const checksums = new FileCache(
+	"checksums",
+	CHECKSUMS_FILE,
+	() => true,
+	computeChecksum,
+	// Files saved before the CRC-32 was computed are checksummed again.
+	entry => entry.crc32 !== undefined,
+);
+const saveInfos = new FileCache("save info", SAVE_INFO_FILE, file => file instanceof Save, computeSaveInfo);
+
+// Checksumming reads every file in the archive, which is only worth doing up
+// front if the result is kept.  Otherwise it's done when first needed.
+function updateFileCaches() {
+	if (checksums.file) {
+		checksums.update();
+	}
+	saveInfos.update();
+}
+
+const tree = new Map();
+tree.set("/", new Root());
+
+// Result of the last scan, only directories with a changed modification time
+// are read again when rescanning.
+let lastScan;
+let rescanInProgress = false;
+let rescanPending = false;
+async function rescan(validatingIndex = false) {
+	if (rescanInProgress) {
+		rescanPending = true;
+		return;
+	}
+	rescanInProgress = true;
+	try {
+		do {
+			rescanPending = false;
+			const scanned = await scanDir(ROOT_DIR, "/", lastScan);
+			if (!scanned) {
+				throw new Error(`ROOT_DIR ${ROOT_DIR} does not exist`);
+			}
+			lastScan = scanned;
+			const { added, removed, changed } = applyScan(tree, scanned);
+			if (added || removed || changed) {
+				console.log(`Scanned files: ${added} added, ${removed} removed, ${changed} changed`);
+			}
+			if (INDEX_FILE && (added || removed || changed || validatingIndex)) {
+				await saveIndex(scanned);
+			}
+			if (added || changed) {
+				updateFileCaches();
+			}
+			validatingIndex = false;
+		} while (rescanPending);
+	} catch (err) {
+		console.error("Scanning files failed:", err);
+	} finally {
+		rescanInProgress = false;
+	}
+}
+
+for (const cache of [checksums, saveInfos]) {
+	if (cache.file) {
+		await cache.load();
+	}
+}
+const index = INDEX_FILE ? await loadIndex() : undefined;
+if (index) {
+	console.log("Loaded index file, validating it in the background");
+	applyScan(tree, index);
+	lastScan = index;
+	rescan(true);
+} else {
+	console.log("Scanning files");
+	const scanned = await scanDir(ROOT_DIR, "/");
+	if (!scanned) {
+		throw new Error(`ROOT_DIR ${ROOT_DIR} does not exist`);
+	}
+	applyScan(tree, scanned);
+	lastScan = scanned;
+	if (INDEX_FILE) {
+		await saveIndex(scanned);
+	}
+}
+updateFileCaches();
+
+if (RESCAN_INTERVAL) {
+	setInterval(rescan, RESCAN_INTERVAL * 1000).unref();
+}
+
+if (WATCH_FILES) {
+	(async () => {
+		let rescanTimeout;
+		for await (const _event of fs.watch(ROOT_DIR, { recursive: true })) {
+			// Wait for changes to settle before rescanning
+			clearTimeout(rescanTimeout);
+			rescanTimeout = setTimeout(rescan, 5000);
+		}
+	})().catch(err => {
+		console.error("Watching files failed:", err);
+	});
+}
+
+class VirtualFile {
+	content;
+	modifiedAtMs;
+	constructor(name, content, modifiedAtMs) {
+		this.content = content;
+		this.name = name;
+		this.mime = mimeFor(name);
+		this.modifiedAtMs = modifiedAtMs;
+	}
+	async get(req, res) {
+		cachedResponse(req, res, this.content, this.mime, this.modifiedAtMs);
+	}
+}
+
+// Line in the format read by sha256sum --check
+function sha256sumLine(sha256, path) {
+	if (/[\\\n\r]/.test(path)) {
+		return `\\${sha256}  ${path.replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/\r/g, "\\r")}\n`;
+	}
+	return `${sha256}  ${path}\n`;
+}
+
+// Formats records are written in one at a time as the tree is walked, so
+// that large listings are not built up in memory before being sent.
+const streamedFormats = new Map(Object.entries({
+	"ndjson": { mime: "application/x-ndjson; charset=utf-8", lines: ndjsonLines },
+	"csv": { mime: "text/csv; charset=utf-8", lines: csvLines },
+}));
+
+const csvColumns = ["type", "path", "size", "created", "modified", "sha256"];
+
+function* ndjsonLines(records) {
+	for (const record of records) {
+		yield `${JSON.stringify(record)}\n`;
+	}
+}
+
+function csvField(value) {
+	if (value === undefined || value === null) {
+		return "";
+	}
+	const text = String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function* csvLines(records) {
+	yield `${csvColumns.join(",")}\r\n`;
+	for (const record of records) {
+		yield `${csvColumns.map(column => csvField(record[column])).join(",")}\r\n`;
+	}
+}
+
+// Joins lines into chunks of around chunkSize to avoid writing each record
+// to the response separately.
+function* joinLines(lines, chunkSize = 64 * 1024) {
+	let chunk = "";
+	for (const line of lines) {
+		chunk += line;
+		if (chunk.length >= chunkSize) {
+			yield chunk;
+			chunk = "";
+		}
+	}
+	if (chunk) {
+		yield chunk;
+	}
+}
+
+// Weak validator for a listing that is streamed, based on the state of the
+// tree and the checksums and save info known rather than the nodes listed so
+// that the listing does not have to be walked before sending it.
+function listingETag(key, node) {
+	const hash = crypto.createHash("sha256").update(
+		`${key}\0${node.modifiedAtMs}\0${startedAtMs}\0${treeVersion}\0${checksums.version}\0${saveInfos.version}`,
+	);
+	return `W/"${hash.digest("base64url")}"`;
+}
+
+// Streams the records for the nodes yielded by walk() under node in the given
+// format.
+async function streamedListingResponse(req, res, format, key, node, walk, toRecord) {
+	const { mime, lines } = streamedFormats.get(format);
+	await streamResponse(
+		req,
+		res,
+		{ "Content-Type": mime, "Cache-Control": CACHE_CONTROL },
+		{ etag: listingETag(key, node), lastModifiedMs: node.modifiedAtMs },
+		() => [Readable.from(joinLines(lines(map(toRecord, walk()))))],
+	);
+}
+
+function fileRecord(file) {
+	return {
+		type: "file",
+		path: file.path,
+		size: file.stat.size,
+		created: maybeTs(file.createdAtMs),
+		modified: file.modifiedAtMs / 1000,
+		sha256: file.sha256,
+		factorio: file.factorio,
+	};
+}
+
+// Node as returned by /meta without its entries.
+function metaRecord(node) {
+	const { entries: _entries, ...json } = node.toJSON();
+	return { path: node.path, ...json };
+}
+
+// JSON for /meta with entries included depth levels down, all levels are
+// included if depth is undefined.
+function metaJSON(node, depth) {
+	if (depth === undefined || !(node instanceof Dir || node instanceof Root)) {
+		return node;
+	}
+	const { entries: _entries, ...json } = node.toJSON();
+	return depth > 0 ? { ...json, entries: [...map(entry => metaJSON(entry, depth - 1), node.entries.values())] } : json;
+}
+
+// Nodes from node and down depth levels of entries in the order they are in
+// the tree.
+function* walkNodes(node, entries, depth) {
+	yield node;
+	if (depth === 0) {
+		return;
+	}
+	for (const entry of entries) {
+		if (entry instanceof Dir) {
+			yield* walkNodes(entry, entry.entries.values(), depth === undefined ? undefined : depth - 1);
+		} else {
+			yield entry;
+		}
+	}
+}
+
+class FileListing {
 	tree;
 	constructor(tree) {
 		this.tree = tree;
 	}
 	async get(req, res) {
 		const url = new URL(req.url, `http://${req.headers.host}`);
-		const format = url.searchParams.get("format");
 		const fileFilter = fileFilterFromUrl(url);
-		const nodeTransform = nodeTransformFromUrl(url, fileFilter);
-		const node = this.tree.get(url.searchParams.get("path") ?? "/");
+		const format = url.searchParams.get("format") ?? "plain";
+		const node = await lookupPath(this.tree, url.searchParams.get("path") ?? "/");
 		if (!node) {
-			throw new NotFound()
-		}
-		const files = walkFiles(node, nodeTransform);
-		let fileName;
-		if (node instanceof Instance) {
-			fileName = node.title.replace(" / ", "");
-		} else if (node instanceof InstancesDir) {
-			fileName = "Instances - Eternity Cluster Archive";
-		} else if (node instanceof Root) {
-			fileName = "Eternity Cluster Archive";
+			throw new NotFound();
+		}
+
+		const walk = () => walkFiles(node, n => fileFilter(n) ? n : undefined);
+		const files = walk();
+		if (streamedFormats.has(format)) {
+			await streamedListingResponse(req, res, format, url.search, node, walk, fileRecord);
+		} else if (format === "plain") {
+			const lines = map(file => PUBLIC_URL + file.path + "\n", files);
+			cachedResponse(req, res, [...lines].join(""), "text/plain; charset=utf-8", node.modifiedAtMs);
+		} else if (format === "json") {
+			cachedJsonResponse(req, res, [...map(fileRecord, files)], node.modifiedAtMs);
+		} else if (format === "sha256sum") {
+			const unhashed = [...filter(file => !file.sha256 && this.tree.get(file.path) === file, files)];
+			if (unhashed.length) {
+				checksums.update(node);
+				throw new ServiceUnavailable(60, `Checksums of ${unhashed.length} files are being computed, try again later`);
+			}
+			// Files generated or inside zip files have no checksum and are left out.
+			const lines = map(file => sha256sumLine(file.sha256, file.path.slice(1)), filter(file => file.sha256, walk()));
+			cachedResponse(req, res, [...lines].join(""), "text/plain; charset=utf-8", node.modifiedAtMs);
 		} else {
-			fileName = node.name;
+			throw new BadRequest(`Invalid format ${format}, valid values: plain, json, sha256sum, ndjson, csv`);
 		}
-		const lastSlashIndex = node.path.lastIndexOf("/") + 1;
-		const nameFn = file => file.path.slice(Math.min(lastSlashIndex, file.path.lastIndexOf("/") + 1));
+	}
+}
 
-		if (format === "zip") {
-			const [zipStream, zipLength] = await createZipStream(files, nameFn);
-			res.writeHead(200, {
-				"Content-Type": "application/zip",
-				"Content-Length": `${zipLength}`,
-				"Content-Disposition": `attachment; filename=${quotedString(fileName + ".zip")}`
-			});
-			await stream.pipeline(
-				zipStream,
+class Metadata {
+	tree;
+	constructor(tree) {
+		this.tree = tree;
+	}
+	async get(req, res) {
+		const url = new URL(req.url, `http://${req.headers.host}`);
+		const params = timeParamsFromUrl(url);
+		const nodes = params.length ? treeView(createView(params, false)) : this.tree;
+		const node = await lookupPath(nodes, url.searchParams.get("path") ?? "/");
+		if (!node) {
+			throw new NotFound();
+		}
+		const format = url.searchParams.get("format") ?? "json";
+		if (format !== "json" && !streamedFormats.has(format)) {
+			throw new BadRequest(`Invalid format ${format}, valid values: json, ndjson, csv`);
+		}
+		const depthValue = url.searchParams.get("depth");
+		if (depthValue !== null && !/^\d+$/.test(depthValue)) {
+			throw new BadRequest(`Invalid depth ${depthValue}, must be a non-negative integer`);
+		}
+		const depth = depthValue !== null ? Number(depthValue) : undefined;
+		const options = listingOptionsFromUrl(url);
+		if (!(node instanceof Dir || node instanceof Root)) {
+			if (format === "json") {
+				cachedJsonResponse(req, res, node, node.modifiedAtMs);
+			} else {
+				await streamedListingResponse(req, res, format, url.search, node, () => [node], metaRecord);
+			}
+			return;
+		}
+		// Only the entries of the directory requested are sorted and paged.
+		const { entries, page, pages, total } = listingPage(node.entries.values(), options);
+		if (format === "json") {
+			const { entries: _entries, ...json } = node.toJSON();
+			const entriesDepth = depth === undefined ? undefined : depth - 1;
+			cachedJsonResponse(
+				req,
 				res,
-				{ end: false },
+				{
+					...json,
+					entries: depth === 0 ? undefined : entries.map(entry => metaJSON(entry, entriesDepth)),
+					...(options.limit ? { page, pages, total } : {}),
+				},
+				node.modifiedAtMs,
 			);
-			res.end();
-		} else if (format === "tar") {
-			const [tarStream, tarLength] = await createTarStream(files, nameFn);
-			res.writeHead(200, {
-				"Content-Type": "application/x-tar",
-				"Content-Length": `${tarLength}`,
-				"Content-Disposition": `attachment; filename=${quotedString(fileName + ".tar")}`
+		} else {
+			// As in the JSON form the paging is given with the directory requested.
+			const paging = options.limit ? { page, pages, total } : {};
+			const toRecord = entry => entry === node ? { ...metaRecord(entry), ...paging } : metaRecord(entry);
+			await streamedListingResponse(
+				req, res, format, url.search, node, () => walkNodes(node, entries, depth), toRecord,
+			);
+		}
+	}
+}
+
+class Milestones {
+	async get(req, res) {
+		cachedJsonResponse(req, res, siteConfig.milestones.map(({ name, label, time }) => ({
+			name,
+			label,
+			time: new Date(`${time}Z`).getTime() / 1000,
+		})), undefined);
+	}
+}
+
+// Results past this are counted but not listed.
+const maxSearchResults = 200;
+
+// Fields of a node that search terms are matched against as [field, text].
+function searchFields(node) {
+	const fields = [["name", node.name]];
+	if (node instanceof Instance) {
+		fields.push(["title", node.title]);
+		if (node.id !== undefined) {
+			fields.push(["id", String(node.id)]);
+		}
+		for (const [field, value] of Object.entries(node.config)) {
+			if (!["instance.name", "instance.id"].includes(field)) {
+				fields.push([field, typeof value === "string" ? value : JSON.stringify(value)]);
+			}
+		}
+	}
+	return fields;
+}
+
+// Finds the nodes where every term is found in one of the fields searched,
+// in the order they appear in the tree.  Returns the matching nodes with the
+// fields that matched a term.
+function search(root, terms, fileFilter) {
+	const results = [];
+	const stack = [...root.entries.values()].toReversed();
+	while (stack.length) {
+		const node = stack.pop();
+		if (!fileFilter(node)) {
+			continue;
+		}
+		const fields = searchFields(node).map(([field, text]) => [field, text, text.toLowerCase()]);
+		if (terms.every(term => fields.some(([, , lower]) => lower.includes(term)))) {
+			results.push({
+				node,
+				matches: fields
+					.filter(([, , lower]) => terms.some(term => lower.includes(term)))
+					.map(([field, text]) => ({ field, text })),
 			});
-			await stream.pipeline(
-				tarStream,
+		}
+		if (node instanceof Dir) {
+			stack.push(...[...node.entries.values()].toReversed());
+		}
+	}
+	return results;
+}
+
+function searchResultType(node) {
+	if (node instanceof Instance) {
+		return "instance";
+	}
+	if (node instanceof Save) {
+		return "save";
+	}
+	return node instanceof Dir ? "dir" : "file";
+}
+
+function searchForm(q, url) {
+	return el("form", { class: "search no-print", action: `${PUBLIC_URL}/search`, method: "GET" },
+		el("label",
+			"Search instances and files ",
+			el("input", { type: "search", name: "q", value: q }),
+		),
+		url ? [
+			el("label",
+				"Created after ",
+				el("input", { type: "datetime-local", name: "created-after", value: datetimeLocalValue(url.searchParams.get("created-after")) }),
+			),
+			el("label",
+				"Created before ",
+				el("input", { type: "datetime-local", name: "created-before", value: datetimeLocalValue(url.searchParams.get("created-before")) }),
+			),
+		] : null,
+		el("button", { type: "submit" }, "Search"),
+	);
+}
+
+function searchMatchText({ field, text }) {
+	return `${field}: ${text.length > 60 ? `${text.slice(0, 60)}…` : text}`;
+}
+
+class Search {
+	tree;
+	constructor(tree) {
+		this.tree = tree;
+	}
+	async get(req, res) {
+		const url = new URL(req.url, `http://${req.headers.host}`);
+		const q = url.searchParams.get("q") ?? "";
+		const format = url.searchParams.get("format") ?? "html";
+		if (!["html", "json"].includes(format)) {
+			throw new BadRequest(`Invalid format ${format}, valid values: html, json`);
+		}
+		const fileFilter = fileFilterFromUrl(url);
+		const root = this.tree.get("/");
+		const terms = q.toLowerCase().split(/\s+/).filter(term => term);
+		const results = terms.length ? search(root, terms, fileFilter) : [];
+		const listed = results.slice(0, maxSearchResults);
+
+		if (format === "json") {
+			cachedJsonResponse(req, res, {
+				query: q,
+				total: results.length,
+				results: listed.map(({ node, matches }) => ({
+					type: searchResultType(node),
+					path: node.path,
+					title: node.title,
+					id: node.id,
+					size: node instanceof File ? node.stat.size : node.totalSize,
+					created: maybeTs(node.createdAtMs),
+					modified: maybeTs(node.modifiedAtMs),
+					matches,
+				})),
+			}, root.modifiedAtMs);
+			return;
+		}
+
+		const jsonParams = new URLSearchParams(url.searchParams);
+		jsonParams.set("format", "json");
+		const page = basePage(
+			`Search - ${siteConfig.title}`,
+			searchForm(q, url),
+			el("main",
+				terms.length ? el("p",
+					`${results.length} result${results.length === 1 ? "" : "s"} for ${JSON.stringify(q)}`,
+					results.length > listed.length ? `, showing the first ${listed.length}` : null,
+					".",
+				) : null,
+				listed.length ? el("ul", { class: "dir" },
+					el("li",
+						el("span", { class: "header name" }, "Name"),
+						" ",
+						el("span", { class: "header content" }, "Matched"),
+						" ",
+						el("span", { class: "header size" }, "Size"),
+						" ",
+						el("span", { class: "header created" }, "Created"),
+					),
+					listed.map(({ node, matches }) => el("li",
+						el("a", { class: "name", href: pathUrl(node.path) },
+							node instanceof Instance ? node.title : node.path,
+						),
+						" ",
+						el("span", { class: "content" }, matches.map(searchMatchText).join(", ")),
+						" ",
+						el("span", { class: "size" }, formatBytes(node instanceof File ? node.stat.size : node.totalSize, true)),
+						node.createdAtMs ? [
+							" ",
+							el("span", { class: "created" }, formatTime(node.createdAtMs)),
+						] : null,
+					)),
+				) : null,
+				terms.length ? el("p", { class: "no-print" },
+					"Also available as: ",
+					el("a", { href: `${PUBLIC_URL}/search?${jsonParams}` }, "JSON"),
+				) : null,
+			),
+		);
+		cachedResponse(req, res, htmlDocument(prettify(page)), "text/html; charset=utf-8", root.modifiedAtMs);
+	}
+}
+
+// Dimensions of the timeline chart in SVG user units
+const timelineWidth = 600;
+const timelineLabelWidth = 100;
+const timelineLaneHeight = 12;
+const timelineSizeHeight = 120;
+const timelineMaxBuckets = 200;
+
+function timeParam(ms) {
+	return new Date(ms).toISOString().slice(0, 16);
+}
+
+function snapshotUrl(time) {
+	const params = new URLSearchParams({
+		"path": "/",
+		"format": siteConfig.pack.format,
+		"compression": siteConfig.pack.compression,
+		"instances-as": siteConfig.pack["instances-as"],
+		"saves": siteConfig.pack.saves,
+		"n": String(siteConfig.pack.n),
+		"created-before": time,
+	});
+	return `${PUBLIC_URL}/pack?${params}`;
+}
+
+function svgNumber(value) {
+	return String(Math.round(value * 10) / 10);
+}
+
+// Chart of when saves were made for each instance and the size of a snapshot
+// of the cluster over time.  Time is divided into buckets of whole hours that
+// each link to the snapshot at the end of it.
+function timelineChart(instances) {
+	const saves = instances.map(instance => {
+		const savesDir = instance.entries.get("saves");
+		// Saves with names that are not a time cannot be placed on the timeline.
+		const isPlaced = entry => entry instanceof Save && !Number.isNaN(entry.createdAtMs);
+		return savesDir instanceof SavesDir ? [...filter(isPlaced, savesDir.entries.values())] : [];
+	});
+	const times = saves.flat().map(save => save.createdAtMs);
+	if (!times.length) {
+		return el("p", "No saves.");
+	}
+	// Spreading the times as arguments overflows the stack for large archives.
+	const firstMs = times.reduce((min, ms) => Math.min(min, ms));
+	const lastMs = times.reduce((max, ms) => Math.max(max, ms));
+	const hourMs = 3600e3;
+	const startMs = Math.floor(firstMs / hourMs) * hourMs;
+	const bucketMs = Math.ceil((lastMs + 1 - startMs) / timelineMaxBuckets / hourMs) * hourMs;
+	const bucketCount = Math.ceil((lastMs + 1 - startMs) / bucketMs);
+	const endMs = startMs + bucketCount * bucketMs;
+	const plotWidth = timelineWidth - timelineLabelWidth;
+	const x = ms => timelineLabelWidth + (ms - startMs) / (endMs - startMs) * plotWidth;
+	const bucketWidth = plotWidth / bucketCount;
+
+	const lanes = instances.map((instance, index) => {
+		const counts = new Map();
+		for (const save of saves[index]) {
+			const bucket = Math.floor((save.createdAtMs - startMs) / bucketMs);
+			counts.set(bucket, (counts.get(bucket) ?? 0) + 1);
+		}
+		const y = index * timelineLaneHeight;
+		const title = instance.title.length > 18 ? `${instance.title.slice(0, 17)}\u{2026}` : instance.title;
+		return el("g",
+			el("text", { x: String(timelineLabelWidth - 4), y: svgNumber(y + timelineLaneHeight * 0.75), "text-anchor": "end" },
+				title,
+			),
+			map(([bucket, count]) => el("rect", {
+				class: "saves",
+				x: svgNumber(x(startMs + bucket * bucketMs)),
+				y: String(y + 1),
+				width: svgNumber(bucketWidth),
+				height: String(timelineLaneHeight - 2),
+				// Fully opaque at one save per hour or more
+				"fill-opacity": svgNumber(Math.min(1, 0.3 + 0.7 * count * hourMs / bucketMs)),
+			}), counts),
+		);
+	});
+
+	// Size of a snapshot of the latest save of each instance at the end of
+	// each bucket.
+	const sizeTop = instances.length * timelineLaneHeight + 20;
+	const sizes = [];
+	const positions = saves.map(() => 0);
+	for (let bucket = 0; bucket < bucketCount; bucket++) {
+		const bucketEndMs = startMs + (bucket + 1) * bucketMs;
+		let size = 0;
+		saves.forEach((instanceSaves, index) => {
+			while (positions[index] < instanceSaves.length && instanceSaves[positions[index]].createdAtMs < bucketEndMs) {
+				positions[index] += 1;
+			}
+			if (positions[index]) {
+				size += instanceSaves[positions[index] - 1].stat.size;
+			}
+		});
+		sizes.push(size);
+	}
+	const maxSize = Math.max(...sizes, 1);
+	const sizeY = size => sizeTop + timelineSizeHeight * (1 - size / maxSize);
+	const sizeChart = el("g",
+		el("text", { x: String(timelineLabelWidth - 4), y: String(sizeTop + 8), "text-anchor": "end" }, formatBytes(maxSize)),
+		el("text", { x: String(timelineLabelWidth - 4), y: String(sizeTop + timelineSizeHeight), "text-anchor": "end" }, "Snapshot size"),
+		el("polyline", {
+			class: "size",
+			points: sizes.map((size, bucket) => `${svgNumber(x(startMs + (bucket + 1) * bucketMs))},${svgNumber(sizeY(size))}`).join(" "),
+		}),
+	);
+
+	const height = sizeTop + timelineSizeHeight + 16;
+	const dayMs = 24 * hourMs;
+	const dayStep = Math.ceil((endMs - startMs) / dayMs / 6) * dayMs;
+	const days = [];
+	for (let ms = Math.ceil(startMs / dayMs) * dayMs; ms <= endMs; ms += dayStep) {
+		days.push(ms);
+	}
+	const axis = el("g", { class: "axis" },
+		days.map(ms => [
+			el("line", { x1: svgNumber(x(ms)), x2: svgNumber(x(ms)), y1: "0", y2: String(height - 14) }),
+			el("text", { x: svgNumber(x(ms)), y: String(height - 4), "text-anchor": "middle" }, timeParam(ms).slice(0, 10)),
+		]),
+	);
+
+	const milestoneMarks = el("g", { class: "milestones" },
+		siteConfig.milestones
+			.map(milestone => ({ ...milestone, ms: new Date(`${milestone.time}Z`).getTime() }))
+			.filter(({ ms }) => ms >= startMs && ms <= endMs)
+			.map(({ label, time, ms }) => el("a", { href: snapshotUrl(time) },
+				el("title", `Download snapshot at ${label} (${time.replace("T", " ")})`),
+				el("line", { x1: svgNumber(x(ms)), x2: svgNumber(x(ms)), y1: "0", y2: String(height - 14) }),
+				el("text", { x: svgNumber(x(ms) + 2), y: String(sizeTop - 6) }, label),
+			)),
+	);
+
+	const bucketLinks = el("g", { class: "buckets" },
+		Array.from({ length: bucketCount }, (_, bucket) => {
+			const time = timeParam(startMs + (bucket + 1) * bucketMs);
+			return el("a", { href: snapshotUrl(time) },
+				el("title", `Download snapshot at ${time.replace("T", " ")} (${formatBytes(sizes[bucket])})`),
+				el("rect", {
+					x: svgNumber(x(startMs + bucket * bucketMs)),
+					y: "0",
+					width: svgNumber(bucketWidth),
+					height: String(height - 14),
+				}),
+			);
+		}),
+	);
+
+	return el("svg",
+		{
+			class: "timeline",
+			viewBox: `0 0 ${timelineWidth} ${height}`,
+			role: "img",
+			"aria-label": "Saves made by each instance and snapshot size over time",
+		},
+		axis,
+		lanes,
+		sizeChart,
+		bucketLinks,
+		milestoneMarks,
+	);
+}
+
+class Timeline {
+	tree;
+	constructor(tree) {
+		this.tree = tree;
+	}
+	async get(req, res) {
+		const root = this.tree.get("/");
+		const instancesDir = this.tree.get("/instances/");
+		const instances = instancesDir ? [...filter(entry => entry instanceof Instance, instancesDir.entries.values())] : [];
+		const page = basePage(
+			`Timeline - ${siteConfig.title}`,
+			el("main",
+				el("p",
+					"Saves made by each instance and the size of a snapshot of the latest save of each instance over time. ",
+					"Select a point in time to download the snapshot at that time.",
+				),
+				timelineChart(instances),
+			),
+		);
+		cachedResponse(req, res, htmlDocument(prettify(page)), "text/html; charset=utf-8", root.modifiedAtMs);
+	}
+}
+
+// Index of the points in time the archive can be browsed at, which is the
+// parent of the /at/<time>/ views.
+class BrowseAt {
+	async get(req, res) {
+		const page = basePage(
+			`Browse at a point in time - ${siteConfig.title}`,
+			el("main",
+				siteConfig.milestones.length ? browseAtLinks() : null,
+				el("p",
+					"Any other point in time can be browsed at /at/YYYY-MM-DDTHH:MM/ in UTC, or go back to ",
+					el("a", { href: `${PUBLIC_URL}/` }, "the archive as it is now"),
+					".",
+				),
+			),
+		);
+		cachedResponse(req, res, htmlDocument(prettify(page)), "text/html; charset=utf-8", undefined);
+	}
+}
+
+// Strong validator for an archive identifying its exact byte content.
+function archiveETag(format, files, nameFn) {
+	const hash = crypto.createHash("sha256");
+	hash.update(format);
+	for (const file of files) {
+		hash.update(`\0${nameFn(file)}\0${file.stat.size}\0${file.stat.mtimeMs}`);
+		// Generated files such as the list of removed files of a delta pack
+		// can change without their size or time changing.
+		if (file.content) {
+			hash.update(file.content);
+		}
+	}
+	return `"${hash.digest("base64url")}"`;
+}
+
+function packFileName(node) {
+	if (node instanceof Instance) {
+		return node.title.replace(" / ", "");
+	}
+	if (node instanceof InstancesDir) {
+		return `Instances - ${siteConfig.title}`;
+	}
+	if (node instanceof Root) {
+		return siteConfig.title;
+	}
+	return node.name;
+}
+
+// Removes duplicates and paths inside of other paths selected, and returns
+// the nodes in tree order.
+function dedupeSelection(nodes) {
+	const selected = [];
+	for (const node of [...new Set(nodes)].sort((a, b) => strcmp(a.path, b.path))) {
+		if (!selected.some(dir => dir.path.endsWith("/") && node.path.startsWith(dir.path))) {
+			selected.push(node);
+		}
+	}
+	return selected;
+}
+
+// Directory all the paths are in, for a single directory it's the directory
+// itself.
+function commonDirPath(paths) {
+	let prefix = paths[0];
+	for (const path of paths.slice(1)) {
+		let length = 0;
+		while (length < prefix.length && prefix[length] === path[length]) {
+			length += 1;
+		}
+		prefix = prefix.slice(0, length);
+	}
+	return prefix.slice(0, prefix.lastIndexOf("/") + 1);
+}
+
+// Name of the list of files in the manifest posted for a delta pack that are
+// not part of the selection packed, placed at the root of the archive.  A
+// number is added to it if a file packed has the same name.
+function removedFilesName(names) {
+	let name = "removed-files.txt";
+	for (let i = 1; names.has(name); i++) {
+		name = `removed-files-${i}.txt`;
+	}
+	return name;
+}
+
+// Parses a manifest of the files a client has, either the output of
+// /files?format=json or a list of path, size and mtime entries.  Paths
+// starting with a slash are paths in the archive, others are names of files
+// in the pack.  Times are in seconds since the Unix epoch.
+function parseManifest(manifest) {
+	if (!Array.isArray(manifest)) {
+		throw new BadRequest("Manifest must be an array");
+	}
+	const entries = new Map();
+	for (const item of manifest) {
+		const entry = {
+			path: item?.path,
+			size: item?.size,
+			mtime: item?.mtime ?? item?.modified,
+			sha256: item?.sha256,
+		};
+		if (
+			typeof entry.path !== "string"
+			|| !["number", "undefined"].includes(typeof entry.size)
+			|| !["number", "undefined"].includes(typeof entry.mtime)
+			|| !["string", "undefined"].includes(typeof entry.sha256)
+		) {
+			throw new BadRequest(
+				`Invalid manifest entry ${JSON.stringify(item)}, must have a path and may have a size, mtime and sha256`,
+			);
+		}
+		entries.set(entry.path, entry);
+	}
+	return entries;
+}
+
+// Files are compared by checksum if both sides have it, otherwise by size and
+// modification time to the second as mirrors may not keep sub-second times.
+function fileChanged(file, entry) {
+	if (entry.sha256 && file.sha256) {
+		return entry.sha256 !== file.sha256;
+	}
+	return entry.size !== undefined && entry.size !== file.stat.size
+		|| entry.mtime !== undefined && Math.floor(entry.mtime) !== Math.floor(file.stat.mtimeMs / 1000);
+}
+
+// Returns the files that are new or changed compared to the manifest, with a
+// list added of the files in the manifest for the selected nodes that are not
+// among the files packed, if there are any.
+function deltaFiles(files, manifest, nodes, dir, nameFn) {
+	const matched = new Set();
+	const changed = [];
+	for (const file of files) {
+		const name = nameFn(file);
+		const entry = manifest.get(file.path) ?? manifest.get(name);
+		if (entry) {
+			matched.add(entry);
+		}
+		if (!entry || fileChanged(file, entry)) {
+			changed.push(file);
+		}
+	}
+	// Names of files in the pack always belong to the selection.
+	const inSelection = path => !path.startsWith("/") || nodes.some(
+		node => node.path.endsWith("/") ? path.startsWith(node.path) : path === node.path,
+	);
+	const removed = [...filter(entry => !matched.has(entry) && inSelection(entry.path), manifest.values())]
+		.map(entry => entry.path.startsWith("/") ? entry.path.slice(dir.path.length) : entry.path);
+	if (removed.length) {
+		const name = removedFilesName(new Set(files.map(nameFn)));
+		const mtimeMs = files.reduce((max, file) => Math.max(max, file.stat.mtimeMs), 0);
+		const content = Buffer.from(removed.map(path => `${path}\n`).join(""));
+		changed.push(new GeneratedFile(dir, name, content, mtimeMs));
+	}
+	return changed;
+}
+
+class Packer {
+	tree;
+	constructor(tree) {
+		this.tree = tree;
+	}
+	async get(req, res) {
+		const url = new URL(req.url, `http://${req.headers.host}`);
+		const paths = url.searchParams.getAll("path");
+		await this.pack(req, res, url, paths.length ? paths : ["/"]);
+	}
+
+	// Selections too long for the query string are posted either as a JSON
+	// array of paths or from the selection form of the directory listings.
+	async post(req, res) {
+		const url = new URL(req.url, `http://${req.headers.host}`);
+		const paths = url.searchParams.getAll("path");
+		const contentType = (req.headers["content-type"] ?? "").split(";")[0].trim();
+		const body = await readBody(req);
+		let manifest;
+		if (contentType === "application/json") {
+			let selection;
+			try {
+				selection = JSON.parse(body);
+			} catch (err) {
+				throw new BadRequest(`Invalid JSON body: ${err.message}`);
+			}
+			// The output of /files?format=json can be posted as is for a delta,
+			// an empty array is taken to be an empty manifest.
+			if (Array.isArray(selection)) {
+				selection = selection.length && selection.every(item => typeof item === "string")
+					? { paths: selection }
+					: { manifest: selection };
+			}
+			if (
+				selection === null || typeof selection !== "object"
+				|| selection.paths !== undefined
+				&& (!Array.isArray(selection.paths) || selection.paths.some(path => typeof path !== "string"))
+			) {
+				throw new BadRequest("JSON body must be an array of paths, a manifest or an object with paths and manifest");
+			}
+			paths.push(...selection.paths ?? []);
+			if (selection.manifest !== undefined) {
+				manifest = parseManifest(selection.manifest);
+				if (!paths.length) {
+					paths.push("/");
+				}
+			}
+		} else if (contentType === "application/x-www-form-urlencoded") {
+			for (const [name, value] of new URLSearchParams(body.toString())) {
+				if (name === "path") {
+					paths.push(value);
+				} else {
+					url.searchParams.append(name, value);
+				}
+			}
+		} else {
+			throw new UnsupportedMediaType(
+				`Unsupported Content-Type ${contentType}, valid values: application/json, application/x-www-form-urlencoded`,
+			);
+		}
+		if (!paths.length) {
+			throw new BadRequest("No paths selected");
+		}
+		await this.pack(req, res, url, paths, manifest);
+	}
+
+	async pack(req, res, url, paths, manifest) {
+		const format = url.searchParams.get("format") ?? siteConfig.pack.format;
+		const archiveFormat = archiveFormats.get(format);
+		if (!archiveFormat) {
+			throw new BadRequest(`Invalid format ${format}, valid values: ${[...archiveFormats.keys()].join(", ")}`);
+		}
+		// Only applies to zip, ignored for the other formats so that it can be
+		// part of forms offering all formats.
+		const compression = format === "zip" ? url.searchParams.get("compression") ?? siteConfig.pack.compression : "none";
+		const zipCompression = zipCompressions.get(compression);
+		if (!zipCompression) {
+			throw new BadRequest(
+				`Invalid compression ${compression}, valid values: ${[...zipCompressions.keys()].join(", ")}`,
+			);
+		}
+		const fileFilter = fileFilterFromUrl(url);
+		const nodeTransform = nodeTransformFromUrl(url, fileFilter);
+		const nodes = dedupeSelection(paths.map(path => {
+			const node = this.tree.get(path);
+			if (!node) {
+				throw new NotFound(`Path ${path} not found`);
+			}
+			return node;
+		}));
+		// Files are named relative to the directory all the paths are in.
+		const dirPath = commonDirPath(nodes.map(node => node.path));
+		const dir = this.tree.get(dirPath);
+		let files = url.searchParams.get("instances-as") === "clusterio-bundle"
+			? [...walkFiles(clusterioBundle(nodes, dir, url, fileFilter))]
+			: nodes.flatMap(node => [...walkFiles(node, nodeTransform)]);
+		let fileName = nodes.length === 1 ? packFileName(nodes[0]) : `${packFileName(dir)} - Selection`;
+		const lastSlashIndex = dirPath.length;
+		const nameFn = file => file.path.slice(Math.min(lastSlashIndex, file.path.lastIndexOf("/") + 1));
+		if (manifest) {
+			files = deltaFiles(files, manifest, nodes, dir, nameFn);
+			fileName += " - Delta";
+		}
+
+		const archive = new archiveFormat.ArchiveFile();
+		for (const file of files) {
+			const compress = zipCompression.compress(file);
+			if (file instanceof GeneratedFile) {
+				archive.addBuffer(file.content, nameFn(file), file.stat, { compress });
+			} else {
+				archive.addFile(file.realPath, nameFn(file), file.stat, { compress, crc: file.crc32 });
+			}
+		}
+		const archiveLength = archive.end();
+		const headers = {
+			"Content-Type": archiveFormat.mime,
+			"Content-Disposition": `attachment; filename=${quotedString(`${fileName}.${format}`)}`,
+		};
+		const etag = archiveETag(`${format}/${compression}`, files, nameFn);
+		const lastModifiedMs = files.reduce((max, file) => Math.max(max, file.stat.mtimeMs), 0);
+
+		if (archiveFormat.compressor) {
+			await streamResponse(
+				req,
+				res,
+				headers,
+				// The compressed output may differ between Node.js versions.
+				{ etag: `W/${etag}`, lastModifiedMs },
+				() => [archive.createReadStream(), archiveFormat.compressor()],
+			);
+		} else if (archiveLength === undefined) {
+			await streamResponse(req, res, headers, { etag, lastModifiedMs }, () => [archive.createReadStream()]);
+		} else if (!archive.seekable) {
+			// Files without a known CRC-32 have it computed while streaming, so
+			// ranges can't be served until the checksums have been computed.
+			await streamResponse(
+				req,
 				res,
-				{ end: false },
+				{ ...headers, "Content-Length": archiveLength },
+				{ etag, lastModifiedMs },
+				() => [archive.createReadStream()],
 			);
-			res.end();
 		} else {
-			throw new BadRequest(`Invalid format ${format}, valid values: zip, tar`);
+			await rangeResponse(
+				req,
+				res,
+				archiveLength,
+				headers,
+				{ etag, lastModifiedMs },
+				(start, end) => archive.createReadStream(start, end),
+			);
+		}
+	}
+}
+
+// Preview image of the map stored in a save, streamed out of the save zip.
+class SavePreview {
+	tree;
+	constructor(tree) {
+		this.tree = tree;
+	}
+	async get(req, res) {
+		const url = new URL(req.url, `http://${req.headers.host}`);
+		const node = this.tree.get(url.searchParams.get("path"));
+		if (!(node instanceof Save)) {
+			throw new NotFound();
 		}
+		let preview;
+		try {
+			preview = await findSavePreview(node.realPath);
+		} catch (err) {
+			if (err.code === "ENOENT") {
+				throw new NotFound();
+			}
+			console.log(`Unable to read save ${node.realPath}: ${err.message}`);
+		}
+		if (!preview) {
+			throw new NotFound("Save has no preview");
+		}
+		await streamResponse(
+			req,
+			res,
+			{
+				"Content-Type": preview.mime,
+				"Content-Length": `${preview.size}`,
+				"Cache-Control": FILES_CACHE_CONTROL,
+			},
+			{ etag: zipEntryETag(node.stat, preview.name, preview.offset), lastModifiedMs: node.stat.mtimeMs },
+			async () => [await preview.createReadStream(), validateLength(preview.size, res)],
+		);
 	}
 }
 
 // Resources not part of the public files tree
 const resources = new Map();
-resources.set("/style.css", new VirtualFile("style.css", await fs.readFile("style.css")));
+resources.set("/style.css", new VirtualFile(
+	"style.css", await fs.readFile("style.css"), (await fs.stat("style.css")).mtimeMs,
+));
 resources.set("/files", new FileListing(tree));
 resources.set("/meta", new Metadata(tree));
 resources.set("/pack", new Packer(tree));
+resources.set("/preview", new SavePreview(tree));
+resources.set("/timeline", new Timeline(tree));
+resources.set("/milestones", new Milestones());
+resources.set("/at/", new BrowseAt());
+resources.set("/search", new Search(tree));
 
 const server = http.createServer((req, res) => {
 	const address = req.headers["x-forwarded-for"] ?? req.socket.remoteAddress;
 
-	// Discard request body (if any) to avoid leaks.
-	req.resume();
-
-	if (req.method !== "GET") {
-		textResponse(res, 400, "Bad Request");
-		return;
+	// Discard request body (if any) to avoid leaks, POST bodies are read by
+	// the resource handling them.
+	if (req.method !== "POST") {
+		req.resume();
 	}
 
-	handleGet(req, res).then(() => {
+	handleRequest(req, res).then(() => {
 		console.log(`${res.statusCode} ${req.method} ${req.url} ${address}`);
 	}).catch(err => {
+		if (err instanceof PayloadTooLarge) {
+			res.once("finish", () => req.destroy());
+		} else {
+			req.resume();
+		}
 		const code = err instanceof RequestError ? err.code : 500;
 		const message = err instanceof RequestError ? err.message : "Internal Server Error";
 		if (res.headersSent) {
@@ -773,7 +3423,7 @@ const server = http.createServer((req, res) => {
 			res.socket.resetAndDestroy();
 		} else {
 			console.log(`${code} ${req.method} ${req.url} ${address} ${message}`);
-			textResponse(res, code, message);
+			textResponse(res, code, message, undefined, err.headers);
 		}
 		if (code === 500) {
 			console.error(err);
@@ -781,6 +3431,25 @@ const server = http.createServer((req, res) => {
 	});
 });
 
+async function handleRequest(req, res) {
+	const resource = resources.get(new URL(req.url, `http://${req.headers.host}`).pathname);
+	if (req.method === "OPTIONS") {
+		res.writeHead(204, { "Allow": allowedMethods(resource) });
+		res.end();
+		return;
+	}
+	if (req.method === "POST" && resource?.post) {
+		await resource.post(req, res);
+		return;
+	}
+	if (req.method !== "GET" && req.method !== "HEAD") {
+		throw new MethodNotAllowed(allowedMethods(resource));
+	}
+	await handleGet(req, res);
+}
+
+// Handles GET and HEAD requests, the body written is discarded by Node.js
+// for HEAD requests.
 async function handleGet(req, res) {
 	const url = new URL(req.url, `http://${req.headers.host}`);
 	const resource = resources.get(url.pathname);
@@ -789,34 +3458,98 @@ async function handleGet(req, res) {
 		return;
 	}
 
-	const node = tree.get(url.pathname);
+	let pathname;
+	try {
+		pathname = decodeURIComponent(url.pathname);
+	} catch (err) {
+		throw new BadRequest("Malformed URL");
+	}
+	// Paths under /at/<time>/ show the archive as it was at that time, and
+	// time parameters in the query show only the files within them.
+	let nodes = tree;
+	const params = timeParamsFromUrl(url);
+	const atMatch = /^\/at\/([^/]+)(\/.*)$/.exec(pathname);
+	if (atMatch) {
+		if (params.length) {
+			throw new BadRequest("Time parameters cannot be combined with /at/ paths");
+		}
+		nodes = treeView(viewAt(atMatch[1]));
+		pathname = atMatch[2];
+	} else if (params.length) {
+		nodes = treeView(createView(params, false));
+	}
+	const node = await lookupPath(nodes, pathname);
 	if (!node) {
 		throw new NotFound();
 	}
 
 	if (node instanceof Dir || node instanceof Root) {
-		textResponse(res, 200, htmlDocument(prettify(node.toHTML())), "text/html");
+		cachedResponse(req, res, htmlDocument(prettify(node.toHTML(url))), "text/html; charset=utf-8", node.modifiedAtMs);
 		return;
 	}
 
-	if (node instanceof File) {
-		const fh = await fs.open(node.realPath);
-		node.stat = await fh.stat(); // Refresh in case file changed on disk.
-		const fileStream = fh.createReadStream();
-		res.writeHead(200, {
-			"Content-Type": node.mime,
-			"Content-Length": `${node.stat.size}`,
-		});
-		await stream.pipeline(
-			fileStream,
-			validateLength(node.stat.size, res),
+	if (node instanceof ZipEntry) {
+		await streamResponse(
+			req,
 			res,
-			// Suppress automatically ending the request stream in case an
-			// error is thrown as the request handler will handle it.
-			{ end: false },
+			{
+				"Content-Type": node.mime,
+				"Content-Length": `${node.stat.size}`,
+				"Cache-Control": FILES_CACHE_CONTROL,
+			},
+			{
+				etag: zipEntryETag(node.zip.stat, node.entry.name, node.entry.localHeaderOffset),
+				lastModifiedMs: node.zip.stat.mtimeMs,
+			},
+			async () => [await node.createReadStream(), validateLength(node.stat.size, res)],
 		);
+		return;
+	}
+
+	if (node instanceof File) {
+		const fh = await fs.open(node.realPath);
+		try {
+			node.stat = await fh.stat(); // Refresh in case file changed on disk.
+			await rangeResponse(
+				req,
+				res,
+				node.stat.size,
+				{ "Content-Type": node.mime, "Cache-Control": FILES_CACHE_CONTROL },
+				{ etag: statETag(node.stat), lastModifiedMs: node.stat.mtimeMs },
+				(start, end) => fh.createReadStream({ start, end, autoClose: false }),
+			);
+		} finally {
+			await fh.close();
+		}
+	}
+}
+
+// Respond with streamed content, using chunked transfer encoding unless a
+// Content-Length header is passed.  openStreams() is called to get the
+// streams to pipe together for the content, it may return a promise.
+async function streamResponse(req, res, headers, validators, openStreams) {
+	headers = {
+		...headers,
+		...validatorHeaders(validators),
+	};
+	if (isNotModified(req, validators)) {
+		delete headers["Content-Type"];
+		delete headers["Content-Disposition"];
+		res.writeHead(304, headers);
 		res.end();
+		return;
 	}
+	res.writeHead(200, headers);
+	if (req.method === "HEAD") {
+		res.end();
+		return;
+	}
+	await stream.pipeline(
+		...await openStreams(),
+		res,
+		{ end: false },
+	);
+	res.end();
 }
 
 function validateLength(sourceLength, res) {
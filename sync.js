@@ -0,0 +1,223 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import stream from "node:stream/promises";
+import { Readable } from "node:stream";
+import { parseArgs } from "node:util";
+
+// Brings a local copy of the archive up to date with another mirror based on
+// the listing from its /files?format=json endpoint.  Files are downloaded to
+// a temporary name next to their destination, resuming from where a previous
+// sync left off, and moved into place once their size and checksum have been
+// verified.
+
+const usage = "Usage: node index.js sync <mirror-url> [--prune] [--dry-run]";
+
+// Maps a path from the listing to a path in the local archive, guarding
+// against paths escaping it.
+function localPath(rootDir, path) {
+	const segments = path.split("/");
+	if (
+		segments[0] !== ""
+		|| segments.slice(1).some(segment => ["", ".", ".."].includes(segment) || /[\\\0]/.test(segment))
+	) {
+		throw new Error(`Refusing to sync unsafe path ${JSON.stringify(path)}`);
+	}
+	return rootDir + path;
+}
+
+function fileUrl(mirrorUrl, path) {
+	return mirrorUrl + path.split("/").map(encodeURIComponent).join("/");
+}
+
+async function statOrUndefined(realPath) {
+	try {
+		return await fs.stat(realPath);
+	} catch (err) {
+		if (err.code === "ENOENT") {
+			return undefined;
+		}
+		throw err;
+	}
+}
+
+// Modification times are set to the upstream time after downloading, allow
+// for the precision lost in the listing and on the local filesystem.
+function isUpToDate(stat, file) {
+	return stat.size === file.size && Math.abs(stat.mtimeMs / 1000 - file.modified) < 1;
+}
+
+async function fileSha256(realPath) {
+	const hash = crypto.createHash("sha256");
+	const fh = await fs.open(realPath);
+	for await (const chunk of fh.createReadStream()) {
+		hash.update(chunk);
+	}
+	return hash.digest("hex");
+}
+
+// Upstream modification time of the file a partial download is of, kept in a
+// file next to it as writing to the partial download changes its own time.
+async function readPartialModified(modifiedPath) {
+	try {
+		const modified = Number(await fs.readFile(modifiedPath, "utf8"));
+		return Number.isFinite(modified) ? modified : undefined;
+	} catch (err) {
+		if (err.code === "ENOENT") {
+			return undefined;
+		}
+		throw err;
+	}
+}
+
+async function download(mirrorUrl, file, realPath) {
+	const tempPath = `${realPath}.partial`;
+	const modifiedPath = `${tempPath}.modified`;
+	let offset = (await statOrUndefined(tempPath))?.size ?? 0;
+	const partialModified = offset ? await readPartialModified(modifiedPath) : undefined;
+	if (offset >= file.size || partialModified === undefined) {
+		offset = 0;
+	}
+
+	const headers = {};
+	if (offset) {
+		// Only resume if the file upstream is the same as when the partial
+		// download was started.
+		headers["Range"] = `bytes=${offset}-`;
+		headers["If-Range"] = new Date(Math.floor(partialModified) * 1000).toUTCString();
+	}
+	const res = await fetch(fileUrl(mirrorUrl, file.path), { headers });
+	if (res.status === 200) {
+		offset = 0;
+	} else if (res.status === 206) {
+		const contentRange = res.headers.get("content-range") ?? "";
+		if (!contentRange.startsWith(`bytes ${offset}-`)) {
+			throw new Error(`Unexpected Content-Range ${contentRange} for ${file.path}`);
+		}
+	} else {
+		throw new Error(`Downloading ${file.path} failed: ${res.status} ${res.statusText}`);
+	}
+
+	await fs.mkdir(realPath.slice(0, realPath.lastIndexOf("/")), { recursive: true });
+	if (!offset) {
+		await fs.writeFile(modifiedPath, String(file.modified));
+	}
+	const fh = await fs.open(tempPath, offset ? "a" : "w");
+	await stream.pipeline(Readable.fromWeb(res.body), fh.createWriteStream());
+
+	const stat = await fs.stat(tempPath);
+	if (stat.size !== file.size) {
+		throw new Error(`Downloaded ${file.path} has size ${stat.size}, expected ${file.size}`);
+	}
+	if (file.sha256 !== undefined) {
+		const sha256 = await fileSha256(tempPath);
+		if (sha256 !== file.sha256) {
+			await fs.unlink(tempPath);
+			await fs.rm(modifiedPath, { force: true });
+			throw new Error(`Downloaded ${file.path} has SHA-256 ${sha256}, expected ${file.sha256}`);
+		}
+	}
+	await fs.utimes(tempPath, file.modified, file.modified);
+	await fs.rename(tempPath, realPath);
+	await fs.rm(modifiedPath, { force: true });
+}
+
+// Removes files not in the upstream listing and directories left empty.
+// Partial downloads of files in the listing and the upstream time they are of
+// are kept so they can be resumed.
+async function prune(rootDir, upstreamPaths, dryRun) {
+	const entries = await fs.readdir(rootDir, { withFileTypes: true, recursive: true });
+	const dirs = [];
+	let removed = 0;
+	for (const entry of entries) {
+		const realPath = entry.path + "/" + entry.name;
+		const path = realPath.slice(rootDir.length).replace(/\\/g, "/");
+		if (entry.isDirectory()) {
+			dirs.push(realPath);
+		} else if (!upstreamPaths.has(path.replace(/\.partial(\.modified)?$/, ""))) {
+			console.log(`${dryRun ? "Would remove" : "Removing"} ${path}`);
+			if (!dryRun) {
+				await fs.unlink(realPath);
+			}
+			removed += 1;
+		}
+	}
+	if (!dryRun) {
+		// Deepest directories first so that parents are empty when reached
+		dirs.sort((a, b) => b.length - a.length);
+		for (const dir of dirs) {
+			try {
+				await fs.rmdir(dir);
+			} catch (err) {
+				if (err.code !== "ENOTEMPTY" && err.code !== "EEXIST") {
+					throw err;
+				}
+			}
+		}
+	}
+	return removed;
+}
+
+export async function syncCommand(args, rootDir) {
+	let parsed;
+	try {
+		parsed = parseArgs({
+			args,
+			allowPositionals: true,
+			options: {
+				"prune": { type: "boolean", default: false },
+				"dry-run": { type: "boolean", default: false },
+			},
+		});
+	} catch (err) {
+		console.error(`${err.message}\n${usage}`);
+		return 1;
+	}
+	if (parsed.positionals.length !== 1) {
+		console.error(usage);
+		return 1;
+	}
+	const mirrorUrl = parsed.positionals[0].replace(/\/$/, "");
+	const { "prune": shouldPrune, "dry-run": dryRun } = parsed.values;
+
+	console.log(`Fetching file listing from ${mirrorUrl}`);
+	const res = await fetch(`${mirrorUrl}/files?format=json`);
+	if (!res.ok) {
+		console.error(`Fetching file listing failed: ${res.status} ${res.statusText}`);
+		return 1;
+	}
+	const files = await res.json();
+
+	let downloaded = 0;
+	let failed = 0;
+	for (const file of files) {
+		const realPath = localPath(rootDir, file.path);
+		const stat = await statOrUndefined(realPath);
+		if (stat && isUpToDate(stat, file)) {
+			continue;
+		}
+		console.log(`${dryRun ? "Would download" : "Downloading"} ${file.path} (${file.size} bytes)`);
+		if (dryRun) {
+			downloaded += 1;
+			continue;
+		}
+		try {
+			await download(mirrorUrl, file, realPath);
+			downloaded += 1;
+		} catch (err) {
+			console.error(err.message);
+			failed += 1;
+		}
+	}
+
+	let removed = 0;
+	if (shouldPrune && failed) {
+		console.error("Not pruning as some files failed to download");
+	} else if (shouldPrune) {
+		removed = await prune(rootDir, new Set(files.map(file => file.path)), dryRun);
+	}
+	console.log(
+		`${dryRun ? "Dry run: " : ""}${downloaded} downloaded, ${removed} removed, `
+		+ `${files.length - downloaded - failed} up to date, ${failed} failed`
+	);
+	return failed ? 1 : 0;
+}
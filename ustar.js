@@ -1,5 +1,5 @@
 import stream from "node:stream";
-import fs from "node:fs/promises";
+import { readEntry, sliceBuffer } from "./archive.js";
 
 // Based on https://pubs.opengroup.org/onlinepubs/9699919799/utilities/pax.html#tag_20_92_13_06
 
@@ -23,6 +23,7 @@ class UstarHeader {
 	devmajor = 0;
 	devminor = 0;
 
+	// Returns undefined if the name can't be stored in the header.
 	static splitName(name) {
 		if (Buffer.byteLength(name, "utf8") <= 100) {
 			return [Buffer.from(name), Buffer.alloc(0)];
@@ -30,7 +31,7 @@ class UstarHeader {
 		const buf = Buffer.from(name, "utf8");
 		const index = buf.indexOf("/", -100, "utf8");
 		if (index === -1 || index > 155) {
-			throw new Error("Encoded name is too long");
+			return undefined;
 		}
 		return [buf.slice(index + 1), buf.slice(0, index)]
 	}
@@ -55,7 +56,11 @@ class UstarHeader {
 
 	toBuffer() {
 		const buf = Buffer.alloc(512);
-		const [name, prefix] = UstarHeader.splitName(this.name);
+		const split = UstarHeader.splitName(this.name);
+		if (!split) {
+			throw new Error("Encoded name is too long");
+		}
+		const [name, prefix] = split;
 		name.copy(buf, 0);
 		UstarHeader.writeNumeric(buf, "mode", 100, 8, this.mode);
 		UstarHeader.writeNumeric(buf, "uid", 108, 8, this.uid);
@@ -65,7 +70,7 @@ class UstarHeader {
 		buf.write(" ".repeat(8), 148);
 		buf.write(this.typeflag, 156);
 		UstarHeader.writeString(buf, "linkname", 157, 100, this.linkname, false);
-		buf.write("ustar\n", 257); // magic
+		buf.write("ustar\0", 257); // magic
 		buf.write("00", 263); // version
 		UstarHeader.writeString(buf, "uname", 265, 32, this.uname, true);
 		UstarHeader.writeString(buf, "gname", 297, 32, this.gname, true);
@@ -82,48 +87,151 @@ class UstarHeader {
 	}
 }
 
-export class TarFile {
-	outputStream;
-	_logicalRecords = 0;
-	constructor() {
-		this.filesRemaining
-		this.outputStream = stream.Duplex.from(async function* (records) {
-			for await (const record of records) {
-				if (record.type === "file") {
-					const header = new UstarHeader();
-					header.name = record.metadataPath;
-					header.size = record.stat.size;
-					header.mtime = Math.floor(record.stat.mtimeMs / 1000);
-					yield header.toBuffer();
-
-					const fh = await fs.open(record.realPath);
-					const fileStream = fh.createReadStream();
-					yield* fileStream;
-
-					// Pad last logical record of file with zeros
-					const padding = ((-record.stat.size - 511) % 512) + 511;
-					if (padding) {
-						yield Buffer.alloc(padding);
-					}
-				} else if (record.type === "end") {
-					// End file with to blank logical records
-					yield Buffer.alloc(1024);
-				}
-			}
-		});
+// Largest value that fits in the 12 byte numeric fields
+const maxNumeric = 8 ** 11 - 1;
+
+// Based on https://pubs.opengroup.org/onlinepubs/9699919799/utilities/pax.html#tag_20_92_13_03
+function paxRecord(keyword, value) {
+	const content = ` ${keyword}=${value}\n`;
+	const contentLength = Buffer.byteLength(content, "utf8");
+	// The length includes the digits of the length itself
+	let length = contentLength + String(contentLength).length;
+	if (String(length).length > String(contentLength).length) {
+		length += 1;
+	}
+	return `${length}${content}`;
+}
+
+// Truncate string to fit within the given number of bytes when encoded.
+function truncateUtf8(string, bytes) {
+	while (Buffer.byteLength(string, "utf8") > bytes) {
+		string = string.slice(0, -1);
 	}
+	return string;
+}
+
+// Creates the header blocks for a file, which is a single ustar header if
+// the name, size and modification time fits in it, otherwise it's preceded
+// by a pax extended header holding the values that did not fit.
+function fileHeader(metadataPath, size, mtimeMs) {
+	const header = new UstarHeader();
+	header.name = metadataPath;
+	header.size = size;
+	header.mtime = Math.floor(mtimeMs / 1000);
+
+	const records = [];
+	const baseName = metadataPath.slice(metadataPath.lastIndexOf("/") + 1);
+	if (!UstarHeader.splitName(metadataPath)) {
+		records.push(paxRecord("path", metadataPath));
+		header.name = truncateUtf8(baseName, 100);
+	}
+	if (size > maxNumeric) {
+		records.push(paxRecord("size", String(size)));
+		header.size = 0;
+	}
+	if (header.mtime < 0 || header.mtime > maxNumeric) {
+		header.mtime = Math.min(Math.max(header.mtime, 0), maxNumeric);
+		records.push(paxRecord("mtime", String(Math.floor(mtimeMs / 1000))));
+	} else if (records.length) {
+		// Include the precise time since an extended header is written anyway
+		records.push(paxRecord("mtime", (mtimeMs / 1000).toFixed(6).replace(/\.?0+$/, "")));
+	}
+	if (!records.length) {
+		return header.toBuffer();
+	}
+
+	const data = Buffer.from(records.join(""), "utf8");
+	const extendedHeader = new UstarHeader();
+	extendedHeader.name = truncateUtf8(`PaxHeaders/${baseName}`, 100);
+	extendedHeader.size = data.length;
+	extendedHeader.mtime = header.mtime;
+	extendedHeader.typeflag = "x";
+	return Buffer.concat([
+		extendedHeader.toBuffer(),
+		data,
+		Buffer.alloc(((-data.length - 511) % 512) + 511),
+		header.toBuffer(),
+	]);
+}
+
+// The layout of the archive is fully determined by the names and sizes of
+// the files added to it, which lets it be read from any offset without
+// generating the bytes that come before it.
+export class TarFile {
+	_entries = [];
+	_length = 0;
 	addFile(realPath, metadataPath, stat) {
-		this.outputStream.write({
-			type: "file",
-			realPath,
+		this._addEntry({ realPath }, metadataPath, stat);
+	}
+	addBuffer(content, metadataPath, stat) {
+		this._addEntry({ content }, metadataPath, stat);
+	}
+	_addEntry(source, metadataPath, stat) {
+		const headerLength = fileHeader(metadataPath, stat.size, stat.mtimeMs).length;
+		this._entries.push({
+			offset: this._length,
+			headerLength,
+			...source,
 			metadataPath,
-			stat,
+			size: stat.size,
+			mtimeMs: stat.mtimeMs,
 		});
-		this._logicalRecords += 1 + Math.floor((511 + stat.size) / 512);
+		this._length += headerLength + 512 * Math.floor((511 + stat.size) / 512);
 	}
 	end() {
-		this.outputStream.end({ type: "end" });
-		this._logicalRecords += 2;
-		return this._logicalRecords * 512;
+		// End file with two blank logical records
+		this._length += 1024;
+		return this._length;
+	}
+
+	// Any part of a tar archive can be read as its layout is always known.
+	get seekable() {
+		return true;
+	}
+
+	// Returns a stream of the archive content from start to end inclusive.
+	createReadStream(start = 0, end = this._length - 1) {
+		return stream.Readable.from(this._read(start, end), { objectMode: false });
+	}
+
+	async* _read(start, end) {
+		// Index of the last entry starting at or before start
+		let low = 0;
+		let high = this._entries.length - 1;
+		while (low < high) {
+			const mid = Math.ceil((low + high) / 2);
+			if (this._entries[mid].offset <= start) {
+				low = mid;
+			} else {
+				high = mid - 1;
+			}
+		}
+
+		for (let i = low; i < this._entries.length; i++) {
+			const entry = this._entries[i];
+			if (entry.offset > end) {
+				return;
+			}
+			const header = fileHeader(entry.metadataPath, entry.size, entry.mtimeMs);
+			yield* sliceBuffer(header, entry.offset, start, end);
+
+			const dataOffset = entry.offset + entry.headerLength;
+			const dataEnd = dataOffset + entry.size;
+			if (start < dataEnd && end >= dataOffset) {
+				yield* readEntry(
+					entry,
+					Math.max(start - dataOffset, 0),
+					Math.min(end, dataEnd - 1) - dataOffset,
+				);
+			}
+
+			// Pad last logical record of file with zeros
+			const padding = ((-entry.size - 511) % 512) + 511;
+			if (padding) {
+				yield* sliceBuffer(Buffer.alloc(padding), dataEnd, start, end);
+			}
+		}
+
+		yield* sliceBuffer(Buffer.alloc(1024), this._length - 1024, start, end);
 	}
 }
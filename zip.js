@@ -0,0 +1,484 @@
+import stream from "node:stream";
+import fs from "node:fs/promises";
+import zlib from "node:zlib";
+import { readEntry, sliceBuffer } from "./archive.js";
+
+// Based on https://pkware.cachefly.net/webdocs/casestudies/APPNOTE.TXT
+
+// Files are stored uncompressed by default so that the exact layout of the
+// archive is known before any file content is read.  This lets the archive be
+// read from any offset without generating the bytes that come before it,
+// provided the CRC-32 of each file is passed in as well.  The CRC-32 is placed
+// in a data descriptor after the file content so that files without a known
+// CRC-32 can have it computed as the file is read, the archive then has a known
+// length but can only be read from the start.  If any files are compressed the
+// length is not known until the archive has been generated.
+
+const crcTable = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+	let c = n;
+	for (let k = 0; k < 8; k++) {
+		c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+	}
+	crcTable[n] = c;
+}
+
+export function crc32(buf, crc = 0) {
+	crc = ~crc;
+	for (let i = 0; i < buf.length; i++) {
+		crc = crcTable[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+	}
+	return ~crc >>> 0;
+}
+
+// Index of the last item whose offset is at or before position
+function findOffset(items, key, position) {
+	let low = 0;
+	let high = items.length - 1;
+	while (low < high) {
+		const mid = Math.ceil((low + high) / 2);
+		if (items[mid][key] <= position) {
+			low = mid;
+		} else {
+			high = mid - 1;
+		}
+	}
+	return low;
+}
+
+function dosDateTime(ms) {
+	const date = new Date(ms);
+	if (date.getUTCFullYear() < 1980) {
+		return [0, 1 << 5 | 1];
+	}
+	return [
+		date.getUTCHours() << 11 | date.getUTCMinutes() << 5 | Math.floor(date.getUTCSeconds() / 2),
+		(date.getUTCFullYear() - 1980) << 9 | (date.getUTCMonth() + 1) << 5 | date.getUTCDate(),
+	];
+}
+
+const MAX_32 = 0xffffffff;
+const MAX_16 = 0xffff;
+const FLAGS = 0x0808; // Data descriptor follows file content, UTF-8 name.
+const STORED = 0;
+const DEFLATED = 8;
+const VERSION_MADE_BY = 3 << 8 | 45; // Unix, 4.5
+const EXTERNAL_ATTRIBUTES = parseInt("100644", 8) << 16 >>> 0;
+
+function localHeader(entry) {
+	const extraLength = entry.sizeZip64 ? 20 : 0;
+	const buf = Buffer.alloc(30 + entry.name.length + extraLength);
+	const [time, date] = dosDateTime(entry.mtimeMs);
+	buf.writeUInt32LE(0x04034b50, 0);
+	buf.writeUInt16LE(entry.sizeZip64 ? 45 : 20, 4); // Version needed to extract
+	buf.writeUInt16LE(FLAGS, 6);
+	buf.writeUInt16LE(entry.method, 8);
+	buf.writeUInt16LE(time, 10);
+	buf.writeUInt16LE(date, 12);
+	// CRC-32 and sizes are in the data descriptor.
+	buf.writeUInt32LE(entry.sizeZip64 ? MAX_32 : 0, 18);
+	buf.writeUInt32LE(entry.sizeZip64 ? MAX_32 : 0, 22);
+	buf.writeUInt16LE(entry.name.length, 26);
+	buf.writeUInt16LE(extraLength, 28);
+	entry.name.copy(buf, 30);
+	if (entry.sizeZip64) {
+		const extra = 30 + entry.name.length;
+		buf.writeUInt16LE(0x0001, extra);
+		buf.writeUInt16LE(16, extra + 2);
+		// Sizes are left as zero as they are in the data descriptor.
+	}
+	return buf;
+}
+
+function dataDescriptor(entry) {
+	const buf = Buffer.alloc(entry.sizeZip64 ? 24 : 16);
+	buf.writeUInt32LE(0x08074b50, 0);
+	buf.writeUInt32LE(entry.crc, 4);
+	if (entry.sizeZip64) {
+		buf.writeBigUInt64LE(BigInt(entry.compressedSize), 8);
+		buf.writeBigUInt64LE(BigInt(entry.size), 16);
+	} else {
+		buf.writeUInt32LE(entry.compressedSize, 8);
+		buf.writeUInt32LE(entry.size, 12);
+	}
+	return buf;
+}
+
+function centralExtraLength(entry) {
+	const fields = 2 * Number(entry.sizeZip64) + Number(entry.offsetZip64);
+	return fields ? 4 + fields * 8 : 0;
+}
+
+function centralHeader(entry) {
+	const extraLength = centralExtraLength(entry);
+	const buf = Buffer.alloc(46 + entry.name.length + extraLength);
+	const [time, date] = dosDateTime(entry.mtimeMs);
+	buf.writeUInt32LE(0x02014b50, 0);
+	buf.writeUInt16LE(VERSION_MADE_BY, 4);
+	buf.writeUInt16LE(entry.sizeZip64 || entry.offsetZip64 ? 45 : 20, 6);
+	buf.writeUInt16LE(FLAGS, 8);
+	buf.writeUInt16LE(entry.method, 10);
+	buf.writeUInt16LE(time, 12);
+	buf.writeUInt16LE(date, 14);
+	buf.writeUInt32LE(entry.crc, 16);
+	buf.writeUInt32LE(entry.sizeZip64 ? MAX_32 : entry.compressedSize, 20);
+	buf.writeUInt32LE(entry.sizeZip64 ? MAX_32 : entry.size, 24);
+	buf.writeUInt16LE(entry.name.length, 28);
+	buf.writeUInt16LE(extraLength, 30);
+	buf.writeUInt16LE(0, 32); // Comment length
+	buf.writeUInt16LE(0, 34); // Disk number start
+	buf.writeUInt16LE(0, 36); // Internal attributes
+	buf.writeUInt32LE(EXTERNAL_ATTRIBUTES, 38);
+	buf.writeUInt32LE(entry.offsetZip64 ? MAX_32 : entry.offset, 42);
+	entry.name.copy(buf, 46);
+	if (extraLength) {
+		let pos = 46 + entry.name.length;
+		pos = buf.writeUInt16LE(0x0001, pos);
+		pos = buf.writeUInt16LE(extraLength - 4, pos);
+		if (entry.sizeZip64) {
+			pos = buf.writeBigUInt64LE(BigInt(entry.size), pos);
+			pos = buf.writeBigUInt64LE(BigInt(entry.compressedSize), pos);
+		}
+		if (entry.offsetZip64) {
+			pos = buf.writeBigUInt64LE(BigInt(entry.offset), pos);
+		}
+	}
+	return buf;
+}
+
+function endOfCentralDirectory(count, centralOffset, centralSize) {
+	const zip64 = count >= MAX_16 || centralOffset >= MAX_32 || centralSize >= MAX_32;
+	const buf = Buffer.alloc(zip64 ? 56 + 20 + 22 : 22);
+	let pos = 0;
+	if (zip64) {
+		pos = buf.writeUInt32LE(0x06064b50, pos);
+		pos = buf.writeBigUInt64LE(44n, pos); // Size of remaining record
+		pos = buf.writeUInt16LE(VERSION_MADE_BY, pos);
+		pos = buf.writeUInt16LE(45, pos); // Version needed to extract
+		pos = buf.writeUInt32LE(0, pos); // Number of this disk
+		pos = buf.writeUInt32LE(0, pos); // Disk with central directory
+		pos = buf.writeBigUInt64LE(BigInt(count), pos);
+		pos = buf.writeBigUInt64LE(BigInt(count), pos);
+		pos = buf.writeBigUInt64LE(BigInt(centralSize), pos);
+		pos = buf.writeBigUInt64LE(BigInt(centralOffset), pos);
+
+		pos = buf.writeUInt32LE(0x07064b50, pos);
+		pos = buf.writeUInt32LE(0, pos); // Disk with zip64 end of central directory
+		pos = buf.writeBigUInt64LE(BigInt(centralOffset + centralSize), pos);
+		pos = buf.writeUInt32LE(1, pos); // Total number of disks
+	}
+	pos = buf.writeUInt32LE(0x06054b50, pos);
+	pos = buf.writeUInt16LE(0, pos); // Number of this disk
+	pos = buf.writeUInt16LE(0, pos); // Disk with central directory
+	pos = buf.writeUInt16LE(Math.min(count, MAX_16), pos);
+	pos = buf.writeUInt16LE(Math.min(count, MAX_16), pos);
+	pos = buf.writeUInt32LE(Math.min(centralSize, MAX_32), pos);
+	pos = buf.writeUInt32LE(Math.min(centralOffset, MAX_32), pos);
+	buf.writeUInt16LE(0, pos); // Comment length
+	return buf;
+}
+
+export class ZipFile {
+	_entries = [];
+	_length = 0;
+	_crcMissing = false;
+	_centralOffset;
+	_centralSize = 0;
+	_end;
+
+	addFile(realPath, metadataPath, stat, { compress = false, crc } = {}) {
+		this._addEntry({ realPath }, metadataPath, stat, compress, crc);
+	}
+
+	addBuffer(content, metadataPath, stat, { compress = false } = {}) {
+		this._addEntry({ content }, metadataPath, stat, compress, crc32(content));
+	}
+
+	_addEntry(source, metadataPath, stat, compress, crc) {
+		// Deflate may expand incompressible data slightly, leave room for it
+		// when deciding if the entry needs zip64 sizes.
+		const maxCompressedSize = compress ? stat.size + Math.ceil(stat.size / 1000) + 1024 : stat.size;
+		const entry = {
+			offset: this._length,
+			centralOffset: 0,
+			...source,
+			name: Buffer.from(metadataPath, "utf8"),
+			method: compress ? DEFLATED : STORED,
+			size: stat.size,
+			compressedSize: compress ? undefined : stat.size,
+			mtimeMs: stat.mtimeMs,
+			crc,
+			sizeZip64: maxCompressedSize >= MAX_32,
+			offsetZip64: this._length >= MAX_32,
+		};
+		if (entry.name.length > MAX_16) {
+			throw new Error("Encoded name is too long");
+		}
+		this._entries.push(entry);
+		if (compress) {
+			this._length = undefined;
+		}
+		if (crc === undefined) {
+			this._crcMissing = true;
+		}
+		if (this._length !== undefined) {
+			entry.dataOffset = entry.offset + 30 + entry.name.length + (entry.sizeZip64 ? 20 : 0);
+			this._length = entry.dataOffset + entry.size + (entry.sizeZip64 ? 24 : 16);
+		}
+	}
+
+	// Returns the length of the archive, or undefined if it contains
+	// compressed files.
+	end() {
+		if (this._length === undefined) {
+			return undefined;
+		}
+		this._centralOffset = this._length;
+		for (const entry of this._entries) {
+			entry.centralOffset = this._centralOffset + this._centralSize;
+			this._centralSize += 46 + entry.name.length + centralExtraLength(entry);
+		}
+		this._end = endOfCentralDirectory(this._entries.length, this._centralOffset, this._centralSize);
+		this._length = this._centralOffset + this._centralSize + this._end.length;
+		return this._length;
+	}
+
+	// True if any part of the archive can be read, which needs the length and
+	// the CRC-32 of every file to be known.
+	get seekable() {
+		return this._length !== undefined && !this._crcMissing;
+	}
+
+	// Returns a stream of the archive content from start to end inclusive.
+	createReadStream(start = 0, end = this._length - 1) {
+		if (!this.seekable) {
+			if (start !== 0 || this._length !== undefined && end !== this._length - 1) {
+				throw new Error("Archive can only be read from start to finish");
+			}
+			return stream.Readable.from(this._readSequential(), { objectMode: false });
+		}
+		return stream.Readable.from(this._read(start, end), { objectMode: false });
+	}
+
+	// Generates the archive from start to finish, computing the offsets as the
+	// compressed sizes become known.
+	async* _readSequential() {
+		let offset = 0;
+		for (const entry of this._entries) {
+			entry.offset = offset;
+			entry.offsetZip64 = offset >= MAX_32;
+			const header = localHeader(entry);
+			yield header;
+			offset += header.length;
+
+			let crc = 0;
+			const content = async function* () {
+				for await (const chunk of readEntry(entry, 0, entry.size - 1)) {
+					crc = crc32(chunk, crc);
+					yield chunk;
+				}
+			};
+			let output = stream.Readable.from(content(), { objectMode: false });
+			if (entry.method === DEFLATED) {
+				// Errors are propagated by destroying the last stream.
+				output = stream.pipeline(output, zlib.createDeflateRaw(), () => { });
+			}
+			entry.compressedSize = 0;
+			for await (const chunk of output) {
+				entry.compressedSize += chunk.length;
+				yield chunk;
+			}
+			offset += entry.compressedSize;
+			entry.crc = crc;
+
+			const descriptor = dataDescriptor(entry);
+			yield descriptor;
+			offset += descriptor.length;
+		}
+
+		const centralOffset = offset;
+		for (const entry of this._entries) {
+			const header = centralHeader(entry);
+			yield header;
+			offset += header.length;
+		}
+		yield endOfCentralDirectory(this._entries.length, centralOffset, offset - centralOffset);
+	}
+
+	async* _read(start, end) {
+		const entries = this._entries;
+		if (start < this._centralOffset) {
+			for (let i = findOffset(entries, "offset", start); i < entries.length; i++) {
+				const entry = entries[i];
+				if (entry.offset > end) {
+					return;
+				}
+				yield* sliceBuffer(localHeader(entry), entry.offset, start, end);
+
+				const dataEnd = entry.dataOffset + entry.size;
+				if (start < dataEnd && end >= entry.dataOffset) {
+					yield* readEntry(
+						entry,
+						Math.max(start - entry.dataOffset, 0),
+						Math.min(end, dataEnd - 1) - entry.dataOffset,
+					);
+				}
+
+				if (end >= dataEnd) {
+					yield* sliceBuffer(dataDescriptor(entry), dataEnd, start, end);
+				}
+			}
+		}
+
+		if (end >= this._centralOffset && start < this._centralOffset + this._centralSize && entries.length) {
+			const first = start < this._centralOffset ? 0 : findOffset(entries, "centralOffset", start);
+			for (let i = first; i < entries.length; i++) {
+				const entry = entries[i];
+				if (entry.centralOffset > end) {
+					return;
+				}
+				const header = centralHeader(entry);
+				yield* sliceBuffer(header, entry.centralOffset, start, end);
+			}
+		}
+
+		yield* sliceBuffer(this._end, this._centralOffset + this._centralSize, start, end);
+	}
+}
+
+async function readAt(fh, position, length) {
+	const buf = Buffer.alloc(length);
+	const { bytesRead } = await fh.read(buf, 0, length, position);
+	return buf.subarray(0, bytesRead);
+}
+
+// Reader for the entries of an existing zip file based on its central
+// directory.  Entries are read on demand by seeking to them in the file.
+export class ZipReader {
+	realPath;
+	entries = [];
+
+	constructor(realPath) {
+		this.realPath = realPath;
+	}
+
+	static async open(realPath) {
+		const reader = new ZipReader(realPath);
+		const fh = await fs.open(realPath);
+		try {
+			await reader._readCentralDirectory(fh);
+		} finally {
+			await fh.close();
+		}
+		return reader;
+	}
+
+	async _readCentralDirectory(fh) {
+		const { size } = await fh.stat();
+		const tailLength = Math.min(size, 22 + MAX_16);
+		const tail = await readAt(fh, size - tailLength, tailLength);
+		let end = -1;
+		for (let i = tail.length - 22; i >= 0; i--) {
+			if (tail.readUInt32LE(i) === 0x06054b50) {
+				end = i;
+				break;
+			}
+		}
+		if (end === -1) {
+			throw new Error("End of central directory not found");
+		}
+		let count = tail.readUInt16LE(end + 10);
+		let centralSize = tail.readUInt32LE(end + 12);
+		let centralOffset = tail.readUInt32LE(end + 16);
+		if (count === MAX_16 || centralSize === MAX_32 || centralOffset === MAX_32) {
+			const locator = end - 20;
+			if (locator < 0 || tail.readUInt32LE(locator) !== 0x07064b50) {
+				throw new Error("Zip64 end of central directory locator not found");
+			}
+			const zip64End = await readAt(fh, Number(tail.readBigUInt64LE(locator + 8)), 56);
+			if (zip64End.length < 56 || zip64End.readUInt32LE(0) !== 0x06064b50) {
+				throw new Error("Zip64 end of central directory not found");
+			}
+			count = Number(zip64End.readBigUInt64LE(32));
+			centralSize = Number(zip64End.readBigUInt64LE(40));
+			centralOffset = Number(zip64End.readBigUInt64LE(48));
+		}
+
+		const central = await readAt(fh, centralOffset, centralSize);
+		let pos = 0;
+		for (let i = 0; i < count; i++) {
+			if (pos + 46 > central.length || central.readUInt32LE(pos) !== 0x02014b50) {
+				throw new Error("Invalid central directory header");
+			}
+			const flags = central.readUInt16LE(pos + 8);
+			const nameLength = central.readUInt16LE(pos + 28);
+			const extraLength = central.readUInt16LE(pos + 30);
+			const commentLength = central.readUInt16LE(pos + 32);
+			const entry = {
+				// Names not flagged as UTF-8 are in CP437, which is close
+				// enough to latin1 for the names that are in practice used.
+				name: central.toString(flags & 0x0800 ? "utf8" : "latin1", pos + 46, pos + 46 + nameLength),
+				method: central.readUInt16LE(pos + 10),
+				mtimeMs: dosDateTimeToMs(central.readUInt16LE(pos + 12), central.readUInt16LE(pos + 14)),
+				crc: central.readUInt32LE(pos + 16),
+				compressedSize: central.readUInt32LE(pos + 20),
+				size: central.readUInt32LE(pos + 24),
+				localHeaderOffset: central.readUInt32LE(pos + 42),
+			};
+			let extra = pos + 46 + nameLength;
+			const extraEnd = extra + extraLength;
+			while (extra + 4 <= extraEnd) {
+				const id = central.readUInt16LE(extra);
+				const length = central.readUInt16LE(extra + 2);
+				if (id === 0x0001) {
+					let field = extra + 4;
+					for (const key of ["size", "compressedSize", "localHeaderOffset"]) {
+						if (entry[key] === MAX_32 && field + 8 <= extra + 4 + length) {
+							entry[key] = Number(central.readBigUInt64LE(field));
+							field += 8;
+						}
+					}
+				}
+				extra += 4 + length;
+			}
+			this.entries.push(entry);
+			pos = extraEnd + commentLength;
+		}
+	}
+
+	// Returns a stream of the uncompressed content of an entry.
+	async createReadStream(entry) {
+		const fh = await fs.open(this.realPath);
+		let dataOffset;
+		try {
+			const header = await readAt(fh, entry.localHeaderOffset, 30);
+			if (header.length < 30 || header.readUInt32LE(0) !== 0x04034b50) {
+				throw new Error(`Invalid local header for ${entry.name}`);
+			}
+			dataOffset = entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+			if (![STORED, DEFLATED].includes(entry.method)) {
+				throw new Error(`Unsupported compression method ${entry.method} for ${entry.name}`);
+			}
+		} catch (err) {
+			await fh.close();
+			throw err;
+		}
+		if (entry.compressedSize === 0) {
+			await fh.close();
+			return stream.Readable.from([]);
+		}
+		const raw = fh.createReadStream({ start: dataOffset, end: dataOffset + entry.compressedSize - 1 });
+		if (entry.method === STORED) {
+			return raw;
+		}
+		// Errors are propagated by destroying the last stream.
+		return stream.pipeline(raw, zlib.createInflateRaw(), () => { });
+	}
+}
+
+function dosDateTimeToMs(time, date) {
+	return Date.UTC(
+		(date >> 9) + 1980, (date >> 5 & 0xf) - 1, date & 0x1f,
+		time >> 11, time >> 5 & 0x3f, (time & 0x1f) * 2,
+	);
+}